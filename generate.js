@@ -1,11 +1,26 @@
 const fs = require('fs')
-const moment = require('moment')
 const _ = require('lodash')
 
 const FetchPatientData = require('./src/fetch_patient_data.js')
 const Summarize = require('./src/summarize.js')
 const FetchSheet = require('./src/fetch_sheet.js')
+const TabConfig = require('./src/tab_config.js')
+const Dates = require('./src/dates.js')
 const MergePatients = require('./src/merge_patients.js')
+const DuplicatePatients = require('./src/duplicate_patients.js')
+const PatientIdentity = require('./src/patient_identity.js')
+const Verify = require('./src/verify.js')
+const Anomalies = require('./src/anomalies.js')
+const Schemas = require('./src/schemas.js')
+const Quality = require('./src/quality.js')
+const Rt = require('./src/rt.js')
+const Demographics = require('./src/demographics.js')
+const Clusters = require('./src/clusters.js')
+const Transmission = require('./src/transmission.js')
+const Cities = require('./src/cities.js')
+
+const VERIFICATION_REPORT_FILENAME = './docs/summary/verification_report.json'
+const ANOMALIES_FILENAME = './docs/anomalies.txt'
 
 const generateLastUpdated = async (patients) => {
   // Check if patient list changed size, if it did, then update lastUpdated
@@ -14,8 +29,7 @@ const generateLastUpdated = async (patients) => {
   if (existingPatientsData) {
     const existingPatients = JSON.parse(existingPatientsData)
     if (existingPatients && existingPatients.length && existingPatients.length != patients.length) {
-      // Add 540 = UTC+9 for JST.
-      lastUpdated = moment().utcOffset(540).format()
+      lastUpdated = Dates.runDate().format()
       console.log(`Patients data updated. New: ${patients.length} Old: ${existingPatients.length}`)
     }
   }
@@ -34,55 +48,123 @@ const generateLastUpdated = async (patients) => {
 
   // If it's still null, we don't know. So just use the latest timestamp.
   if (lastUpdated == null) {
-    lastUpdated = moment().utcOffset(540).format()
+    lastUpdated = Dates.runDate().format()
   }
   return lastUpdated
 }
 
 
+// Writes data to docs/<dir>/<dateString>.json
+//
+// @param options Object, { minified: Boolean, extension: String, serialize: Function }
+//   serialize(data) writes the data in another format than JSON, to
+//   docs/<dir>/<dateString>.<extension>
+const writeOutput = (dir, dateString, data, options) => {
+  options = options || {}
+  const outputDir = `./docs/${dir}`
+  fs.mkdirSync(outputDir, {recursive: true})
+  if (options.serialize) {
+    fs.writeFileSync(`${outputDir}/${dateString}.${options.extension}`, options.serialize(data))
+    return
+  }
+  const json = options.minified ? JSON.stringify(data) : JSON.stringify(data, null, '  ')
+  fs.writeFileSync(`${outputDir}/${dateString}.json`, json)
+}
+
 const fetchAndSummarize = async (dateString) => {
-  const daily = await FetchSheet.fetchRows('Sum By Day')
-  const prefectures = await FetchSheet.fetchRows('Prefecture Data')
-  const cruiseCounts = await FetchSheet.fetchRows('Cruise Sum By Day')
+  // The tabs are listed in src/config/tabs.json. If a required tab can not be
+  // fetched, the run is aborted rather than publishing a summary that is missing data.
+  const daily = await TabConfig.fetchRows(TabConfig.tabWithRole('dailyManualData'))
+  const prefectures = await TabConfig.fetchRows(TabConfig.tabWithRole('prefectureManualData'))
+  const cruiseCounts = await TabConfig.fetchRows(TabConfig.tabWithRole('cruiseCounts'))
 
   // Merge multiple patient lists.
-  const patientListFetches = [
-    FetchPatientData.fetchPatientData('Patient Data'),
-    FetchPatientData.fetchPatientData('Tokyo'),
-    FetchPatientData.fetchPatientData('Osaka'),
-    FetchPatientData.fetchPatientData('Kanagawa'),
-    FetchPatientData.fetchPatientData('Aichi'),
-    FetchPatientData.fetchPatientData('Chiba'),
-    FetchPatientData.fetchPatientData('Saitama'),
-    FetchPatientData.fetchPatientData('Hokkaido'),
-  ]
+  const patientTabs = TabConfig.tabsWithRole('patients')
+  const patientListFetches = _.map(patientTabs, tab => {
+    return FetchPatientData.fetchPatientData(tab)
+  })
+
+  const patientLists = await Promise.all(patientListFetches)
+  const merged = MergePatients.mergePatients(patientLists, _.map(patientTabs, 'name'), TabConfig.mergePrecedence())
+  if (merged.conflicts.length > 0) {
+    console.warn(`Warning: ${merged.conflicts.length} fields differ between tabs, see merge_conflicts`)
+  }
 
-  Promise.all(patientListFetches)
-    .then(patientLists => {
-      let patients = MergePatients.mergePatients(patientLists)
-      console.log(`Total patients fetched: ${patients.length}`)
+  // Rows without a patientId that may be duplicates are written out for review, and
+  // the ones confirmed in src/config/duplicates.json are collapsed.
+  const duplicateCandidates = DuplicatePatients.findDuplicateCandidates(merged.patients)
+  const duplicates = DuplicatePatients.collapseConfirmedDuplicates(merged.patients)
+  for (let pair of duplicates.stale) {
+    console.warn(`Warning: Confirmed duplicate ${pair.candidate} of ${pair.duplicateOf} ${pair.reason}`)
+  }
+  let patients = duplicates.patients
+  console.log(`Total patients fetched: ${patients.length} (${duplicates.collapsed.length} duplicates collapsed, ${duplicateCandidates.length} to review)`)
 
-      generateLastUpdated(patients)
-        .then(lastUpdated => {
-          // Write patient data
-          const patientOutputFilename = `./docs/patient_data/${dateString}.json`
-          fs.writeFileSync(patientOutputFilename, JSON.stringify(patients, null, '  '))
+  const lastUpdated = await generateLastUpdated(patients)
 
-          // Write daily and prefectural summary.
-          const summary = Summarize.summarize(patients, daily, prefectures, cruiseCounts, lastUpdated)
-          const summaryOutputFilename = `./docs/summary/${dateString}.json`
-          fs.writeFileSync(summaryOutputFilename, JSON.stringify(summary, null, '  '))
+  // Summarize and verify before writing anything, so that a verification error leaves
+  // docs/ untouched (except for the report itself).
+  const summary = Summarize.summarize(patients, daily, prefectures, cruiseCounts, lastUpdated, Dates.runDate())
+  const anomalies = Anomalies.detectAnomalies(summary)
 
-          // Write minified version of daily/prefectural summary
-          const summaryMinifiedOutputFilename = `./docs/summary_min/${dateString}.json`
-          fs.writeFileSync(summaryMinifiedOutputFilename, JSON.stringify(summary))
+  const report = Verify.runRules({
+    patients: patients,
+    patientLists: _.zipObject(_.map(patientTabs, 'name'), patientLists),
+    daily: summary.daily,
+    prefectures: summary.prefectures,
+    anomalies: anomalies,
+  }, Dates.runDate().format())
+  Verify.logReport(report)
+  Schemas.validateOrThrow('verification_report', report)
+  fs.writeFileSync(VERIFICATION_REPORT_FILENAME, JSON.stringify(report, null, '  '))
+  fs.writeFileSync(ANOMALIES_FILENAME, Anomalies.formatAnomalies(anomalies, Dates.runDate().format()))
+  if (!report.passed) {
+    throw new Error(`VerificationError: ${report.counts.error} errors, see ${VERIFICATION_REPORT_FILENAME}`)
+  }
 
-          console.log('Success.')
-        })     
-    })
-    .catch(error => {
-      console.log(error)
-    })
+  // Every name a patient can be referred to by (TOK12, Tokyo#12, MHLW#60), to its patientId.
+  const aliasTable = PatientIdentity.buildAliasTable(patients)
+  for (let alias of _.keys(aliasTable.collisions)) {
+    console.warn(`Warning: ${alias} refers to more than one patient: ${aliasTable.collisions[alias].join(', ')}`)
+  }
+
+  const network = Transmission.transmissionNetwork(patients, aliasTable)
+  if (network.unresolved.length > 0) {
+    console.warn(`Warning: ${network.unresolved.length} relatedPatients references could not be resolved, see transmission`)
+  }
+
+  // Every file we write, with the schema in docs/schemas it has to match. All of
+  // them are validated before any is written so a bad run doesn't leave a partial
+  // set of snapshots.
+  const outputs = [
+    { dir: 'patient_data', schema: 'patient_data', data: patients },
+    { dir: 'patient_aliases', schema: 'patient_aliases', data: aliasTable.aliases },
+    { dir: 'merge_conflicts', schema: 'merge_conflicts', data: merged.conflicts },
+    { dir: 'duplicate_candidates', schema: 'duplicate_candidates', data: duplicateCandidates },
+    { dir: 'quality', schema: 'quality', data: Quality.patientDataQuality(patients) },
+    { dir: 'demographics', schema: 'demographics', data: Demographics.demographics(patients) },
+    { dir: 'clusters', schema: 'clusters', data: Clusters.clusters(patients) },
+    // Patients connected by relatedPatients, as JSON and GraphML.
+    { dir: 'transmission', schema: 'transmission', data: network },
+    { dir: 'transmission', schema: 'transmission', data: network, options: {extension: 'graphml', serialize: Transmission.toGraphML} },
+    // Daily and prefectural summary, and a minified version of it.
+    { dir: 'summary', schema: 'summary', data: summary },
+    { dir: 'summary_min', schema: 'summary', data: summary, options: {minified: true} },
+    // The same summary by ISO week and calendar month.
+    { dir: 'summary_weekly', schema: 'summary_periods', data: Summarize.summarizeByPeriod(summary, 'week', Dates.runDate()) },
+    { dir: 'summary_monthly', schema: 'summary_periods', data: Summarize.summarizeByPeriod(summary, 'month', Dates.runDate()) },
+    { dir: 'rt', schema: 'rt', data: Rt.estimateRt(summary, Dates.runDate()) },
+    { dir: 'cities', schema: 'cities', data: Cities.cities(patients, Dates.runDate()) },
+  ]
+  for (let output of outputs) {
+    Schemas.validateOrThrow(output.schema, output.data)
+  }
+
+  for (let output of outputs) {
+    writeOutput(output.dir, dateString, output.data, output.options)
+  }
+
+  console.log('Success.')
 }
 
 const writePerPrefecturePatients = (prefectureName, allPatients, dateString) => {
@@ -93,9 +175,17 @@ const writePerPrefecturePatients = (prefectureName, allPatients, dateString) =>
 }
 
 try {
-  // Add 540 = UTC+9 for JST.
-  const dateString = moment().utcOffset(540).format('YYYY-MM-DD')
+  // When replaying recorded sheet fixtures, behave as if we were running at the
+  // time they were recorded so that the output for that day can be reproduced.
+  Dates.setRunDate(FetchSheet.replayTimestamp())
+  const dateString = Dates.runDate().format('YYYY-MM-DD')
   fetchAndSummarize(dateString)
+    .catch(error => {
+      console.error(`Aborted, no snapshots written (only the verification report and ${ANOMALIES_FILENAME} if verification ran): ${error.name}`)
+      console.error(error)
+      process.exitCode = 1
+    })
 } catch (e) {
   console.error(e)
+  process.exitCode = 1
 }
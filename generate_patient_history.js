@@ -0,0 +1,57 @@
+// Generates the history of each patient (first appearance, status changes and
+// corrections) from the daily snapshots in docs/patient_data.
+//
+// Continues from the latest history in docs/patient_history, so only the new
+// snapshots are read. `node generate_patient_history.js --rebuild` reads them all.
+
+const fs = require('fs')
+const _ = require('lodash')
+
+const PatientHistory = require('./src/patient_history.js')
+const Schemas = require('./src/schemas.js')
+
+const PATIENT_DATA_DIR = './docs/patient_data'
+const OUTPUT_DIR = './docs/patient_history'
+
+// @returns { date, history } of the latest history that can be continued with the
+// snapshots, or null.
+const previousHistory = (snapshots) => {
+  if (!fs.existsSync(OUTPUT_DIR)) {
+    return null
+  }
+  const latest = _.last(PatientHistory.snapshotFiles(OUTPUT_DIR))
+  if (!latest || !_.find(snapshots, {date: latest.date})) {
+    return null
+  }
+  return { date: latest.date, history: JSON.parse(fs.readFileSync(latest.filename)) }
+}
+
+const main = (args) => {
+  const snapshots = PatientHistory.snapshotFiles(PATIENT_DATA_DIR)
+  if (snapshots.length == 0) {
+    throw new Error(`No patient data snapshots in ${PATIENT_DATA_DIR}`)
+  }
+
+  const previous = args.indexOf('--rebuild') == -1 ? previousHistory(snapshots) : null
+  if (previous) {
+    console.log(`Continuing from the history of ${previous.date}`)
+  }
+  const history = PatientHistory.patientHistory(snapshots, previous)
+  const statusChanges = _.sumBy(history, v => { return v.statusHistory.length - 1 })
+  const corrections = _.sumBy(history, v => { return v.corrections.length })
+  console.log(`${history.length} patients in ${snapshots.length} snapshots: ${statusChanges} status changes, ${corrections} corrections`)
+
+  Schemas.validateOrThrow('patient_history', history)
+
+  // Named after the latest snapshot, so it can be reproduced from the same data.
+  const dateString = _.last(snapshots).date
+  fs.mkdirSync(OUTPUT_DIR, {recursive: true})
+  fs.writeFileSync(`${OUTPUT_DIR}/${dateString}.json`, JSON.stringify(history, null, '  '))
+}
+
+try {
+  main(process.argv.slice(2))
+} catch (e) {
+  console.error(e)
+  process.exitCode = 1
+}
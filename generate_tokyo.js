@@ -2,19 +2,39 @@ const fs = require('fs')
 const _ = require('lodash')
 
 const FetchTokyoCases = require('./src/fetch_tokyo_counts.js')
+const FetchSheet = require('./src/fetch_sheet.js')
+const Dates = require('./src/dates.js')
+const Verify = require('./src/verify.js')
+const Schemas = require('./src/schemas.js')
+
+const VERIFICATION_REPORT_FILENAME = './docs/tokyo/verification_report.json'
 
 const generateTokyoCounts = () => {
   FetchTokyoCases.fetchTokyoCounts()
     .then(tokyoCases => {
       console.log(`Read ${tokyoCases.length} Tokyo wards/cities.`)
-      if (tokyoCases.length > 0) {
-        const filename = `./docs/tokyo/counts.json`
-        fs.writeFileSync(filename, JSON.stringify(tokyoCases, null, '  '))
+      const report = Verify.runRules({ tokyoCounts: tokyoCases }, Dates.runDate().format())
+      Verify.logReport(report)
+      Schemas.validateOrThrow('verification_report', report)
+      fs.writeFileSync(VERIFICATION_REPORT_FILENAME, JSON.stringify(report, null, '  '))
+      if (!report.passed) {
+        throw new Error(`VerificationError: ${report.counts.error} errors, see ${VERIFICATION_REPORT_FILENAME}`)
       }
+      // An empty list fails the tokyoCounts.nonEmpty rule above.
+      Schemas.validateOrThrow('tokyo_counts', tokyoCases)
+      const filename = `./docs/tokyo/counts.json`
+      fs.writeFileSync(filename, JSON.stringify(tokyoCases, null, '  '))
+    })
+    .catch(error => {
+      console.error(`Aborted, counts not written (only the verification report if verification ran): ${error.name}`)
+      console.error(error)
+      process.exitCode = 1
     })
 }
 
 try {
+  // Date headers without a year are dated relative to when the fixtures were recorded.
+  Dates.setRunDate(FetchSheet.replayTimestamp())
   generateTokyoCounts()
 } catch (e) {
   console.error(e)
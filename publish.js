@@ -3,24 +3,44 @@ const fs = require('fs')
 const path = require('path')
 const _ = require('lodash')
 
+const Dates = require('./src/dates.js')
+
+
+const VERIFICATION_REPORT_FILENAME = path.join('.', 'docs', 'summary', 'verification_report.json')
 
 // Creates a symlink to the latest version of the data (which can be served)
 const publish = () => {
+  // Errors in the last run's verification report block publishing, warnings don't.
+  if (fs.existsSync(VERIFICATION_REPORT_FILENAME)) {
+    const report = JSON.parse(fs.readFileSync(VERIFICATION_REPORT_FILENAME))
+    if (!report.passed) {
+      console.error(`Not publishing, verification failed with ${report.counts.error} errors: ${VERIFICATION_REPORT_FILENAME}`)
+      process.exitCode = 1
+      return
+    }
+  }
+
   // Add 540 = UTC+9 for JST.
   const dateString = moment().utcOffset(540).format('YYYY-MM-DD')
   
-  for (let dir of ['patient_data', 'summary', 'summary_min']) {
+  for (let dir of ['patient_data', 'patient_aliases', 'patient_history', 'merge_conflicts', 'duplicate_candidates', 'quality', 'demographics', 'clusters', 'transmission', 'summary', 'summary_min', 'summary_weekly', 'summary_monthly', 'rt', 'cities']) {
+    if (!fs.existsSync(path.join('.', 'docs', dir))) {
+      continue
+    }
     let files = fs.readdirSync(path.join('.', 'docs', dir))
-    let sorted = _.reverse(_.sortBy(_.filter(files, v => { return v.startsWith('2020')})))
-    if (sorted.length > 0) {
-      let latest = sorted[0]
-      let latestPath = path.join('.', 'docs', dir, 'latest.json')
+    // Most directories only have .json files, transmission also has .graphml.
+    for (let extension of ['.json', '.graphml']) {
+      let sorted = _.reverse(_.sortBy(_.filter(files, v => { return path.extname(v) == extension && Dates.isISODate(path.basename(v, extension)) })))
+      if (sorted.length > 0) {
+        let latest = sorted[0]
+        let latestPath = path.join('.', 'docs', dir, `latest${extension}`)
 
-      fs.unlink(latestPath, err => {
-        // deliberately ignore err.
-        console.log(`Symlink to ${latest} from ${latestPath}`)
-        fs.symlinkSync(latest, latestPath)
-      })
+        fs.unlink(latestPath, err => {
+          // deliberately ignore err.
+          console.log(`Symlink to ${latest} from ${latestPath}`)
+          fs.symlinkSync(latest, latestPath)
+        })
+      }
     }
   }
 }
@@ -0,0 +1,138 @@
+// Structured patient ages.
+//
+// Sources describe ages in many ways: a decade bracket (40, 40代, 40s), an exact
+// age (34歳), an open or bounded range (90+, 10歳未満, 未就学児), something vague
+// (高齢者, elderly) or nothing at all (不明). parseAge keeps all of that as:
+//
+//   {
+//     min: Lower bound in years (inclusive), or null if unknown.
+//     max: Upper bound in years (inclusive), or null if unknown or open-ended.
+//     precision: 'exact', 'decade', 'range' or 'unknown'.
+//     label: The label from the source, as is.
+//   }
+//
+// ageBracket derives the older single number bracket (40 means 40-49) from it.
+const _ = require('lodash')
+
+const PRECISION_EXACT = 'exact'
+const PRECISION_DECADE = 'decade'
+const PRECISION_RANGE = 'range'
+const PRECISION_UNKNOWN = 'unknown'
+
+const UNKNOWN_LABELS = ['', '-1', '不明', '非公表', '調査中', '確認中', 'unknown', 'unspecified', 'n/a', '-']
+
+// Labels that are not numbers, and the range they stand for.
+const NAMED_RANGES = {
+  '未就学児': [0, 6],
+  '就学児': [6, 12],
+  '乳児': [0, 0],
+  '幼児': [1, 6],
+  '高齢者': [65, null],
+  'elderly': [65, null],
+  'child': [0, 14],
+  'infant': [0, 0],
+}
+
+const UNDER_PATTERNS = [/^([0-9]+)\s*歳?(?:代)?未満$/, /^under\s*([0-9]+)$/, /^<\s*([0-9]+)$/]
+const OVER_PATTERNS = [/^([0-9]+)\s*(?:歳|代)?以上$/, /^([0-9]+)\s*\+$/, /^over\s*([0-9]+)$/]
+const DECADE_PATTERNS = [/^([0-9]+)\s*代$/, /^([0-9]+)\s*'?s$/]
+const EXACT_PATTERNS = [/^([0-9]+)\s*歳$/, /^([0-9]+)\s*(?:years?|yo)$/]
+const NUMBER_PATTERN = /^([0-9]+)$/
+
+// Converts full width digits (０-９) to ASCII.
+const normalizeFixedWidthNumbers = v => {
+  return v.replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+}
+
+const ageRange = (min, max, precision, label) => {
+  return { min: min, max: max, precision: precision, label: label }
+}
+
+const matchNumber = (patterns, v) => {
+  for (let pattern of patterns) {
+    let match = v.match(pattern)
+    if (match) {
+      return parseInt(match[1])
+    }
+  }
+  return null
+}
+
+// Parses an age label from the sheet or a prefecture's data.
+//
+// A plain number that is a multiple of 10 is a decade bracket (as in the sheet's
+// Age Bracket column), any other plain number is an exact age.
+//
+// @param label String or Number
+// @returns { min, max, precision, label }
+const parseAge = (label) => {
+  if (typeof label === 'undefined' || label === null) {
+    return ageRange(null, null, PRECISION_UNKNOWN, undefined)
+  }
+  const v = normalizeFixedWidthNumbers(String(label)).trim().toLowerCase()
+
+  if (UNKNOWN_LABELS.indexOf(v) != -1) {
+    return ageRange(null, null, PRECISION_UNKNOWN, label)
+  }
+  if (NAMED_RANGES[v]) {
+    return ageRange(NAMED_RANGES[v][0], NAMED_RANGES[v][1], PRECISION_RANGE, label)
+  }
+
+  let under = matchNumber(UNDER_PATTERNS, v)
+  if (under !== null) {
+    return ageRange(0, Math.max(under - 1, 0), PRECISION_RANGE, label)
+  }
+  let over = matchNumber(OVER_PATTERNS, v)
+  if (over !== null) {
+    return ageRange(over, null, PRECISION_RANGE, label)
+  }
+  let decade = matchNumber(DECADE_PATTERNS, v)
+  if (decade !== null) {
+    return ageRange(decade, decade + 9, PRECISION_DECADE, label)
+  }
+  let exact = matchNumber(EXACT_PATTERNS, v)
+  if (exact !== null) {
+    return ageRange(exact, exact, PRECISION_EXACT, label)
+  }
+  let number = matchNumber([NUMBER_PATTERN], v)
+  if (number !== null) {
+    if (number % 10 == 0) {
+      return ageRange(number, number + 9, PRECISION_DECADE, label)
+    }
+    return ageRange(number, number, PRECISION_EXACT, label)
+  }
+  return ageRange(null, null, PRECISION_UNKNOWN, label)
+}
+
+// The decade bracket (40 means 40-49) that contains the whole range, or -1 if
+// the range is unknown or spans more than one decade. Open-ended ranges that start
+// on a decade (90+) are put in that decade's bracket.
+//
+// @param age Object, output of parseAge
+// @returns Number
+const ageBracket = (age) => {
+  if (!age || age.precision == PRECISION_UNKNOWN || age.min === null) {
+    return -1
+  }
+  const bracket = Math.floor(age.min / 10) * 10
+  if (age.max === null) {
+    return (age.min % 10 == 0) ? bracket : -1
+  }
+  if (Math.floor(age.max / 10) * 10 != bracket) {
+    return -1
+  }
+  return bracket
+}
+
+// Omits the unknown bounds and empty label, for more compact output.
+const compactAge = (age) => {
+  return _.omitBy(age, v => { return v === null || typeof v === 'undefined' || v === '' })
+}
+
+exports.PRECISION_EXACT = PRECISION_EXACT
+exports.PRECISION_DECADE = PRECISION_DECADE
+exports.PRECISION_RANGE = PRECISION_RANGE
+exports.PRECISION_UNKNOWN = PRECISION_UNKNOWN
+exports.parseAge = parseAge
+exports.ageBracket = ageBracket
+exports.compactAge = compactAge
@@ -0,0 +1,183 @@
+// Anomaly detection on the daily and per-prefecture series of the summary.
+//
+// Data entry mistakes in the sheet (a 10x typo, a day that was dropped) show up
+// as days that are far from the days around them. We compare each day with a
+// robust baseline of the days before it, the rolling median, and measure how far
+// it is in units of the median absolute deviation (MAD), which isn't thrown off
+// by the spikes we are looking for.
+//
+// Each anomaly is:
+//   {
+//     type: 'spike', 'dropToZero' or 'stalePrefecture',
+//     series: Name of the series, e.g. 'daily.confirmed' or 'Tokyo.dailyConfirmedCount'.
+//     date: YYYY-MM-DD
+//     value: Value on the day.
+//     baseline: (spike) Median of the days before.
+//     score: (spike) Distance from the baseline in scaled MADs.
+//     message: Human readable description.
+//   }
+const moment = require('moment')
+const _ = require('lodash')
+
+// Days before a day that make its baseline.
+const BASELINE_DAYS = 14
+
+// A day is a spike when it is this many scaled MADs from the baseline...
+const SPIKE_SCORE = 6
+
+// ...and differs from it by at least this many cases, so small counts aren't flagged.
+const SPIKE_MIN_DIFFERENCE = 20
+
+// Scales the MAD to be comparable to a standard deviation for normal data.
+const MAD_SCALE = 1.4826
+
+// A prefecture is stale when it has had no new cases for this many days...
+const STALE_DAYS = 7
+
+// ...after averaging at least this many cases a day over the BASELINE_DAYS before.
+const STALE_MIN_DAILY_AVERAGE = 1
+
+// Anomalies in this many days up to the last day of the summary are recent. Older
+// ones have been seen on earlier runs, and are only listed in anomalies.txt.
+const RECENT_DAYS = 7
+
+// Cumulative series in the daily summary that should not drop back to zero.
+const CUMULATIVE_FIELDS = [
+  'confirmedCumulative',
+  'deceasedCumulative',
+  'recoveredCumulative',
+  'criticalCumulative',
+  'testedCumulative',
+]
+
+const median = (values) => {
+  const sorted = _.sortBy(values)
+  const middle = Math.floor(sorted.length / 2)
+  return (sorted.length % 2) ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+// Finds days in a series that are far from the rolling median of the days before.
+//
+// @param values Array of Numbers, one per day.
+// @param dates Array of YYYY-MM-DD, the date of each value.
+// @param series String, name of the series for the anomalies.
+// @returns Array of anomalies.
+const detectSpikes = (values, dates, series) => {
+  let anomalies = []
+  for (let i = BASELINE_DAYS; i < values.length; i++) {
+    const window = values.slice(i - BASELINE_DAYS, i)
+    const baseline = median(window)
+    const mad = median(_.map(window, v => Math.abs(v - baseline)))
+    // With a MAD of 0 (e.g. a run of zeroes), fall back to a spread of 1 case.
+    const spread = Math.max(MAD_SCALE * mad, 1)
+    const difference = values[i] - baseline
+    const score = Math.abs(difference) / spread
+    if (score >= SPIKE_SCORE && Math.abs(difference) >= SPIKE_MIN_DIFFERENCE) {
+      anomalies.push({
+        type: 'spike',
+        series: series,
+        date: dates[i],
+        value: values[i],
+        baseline: baseline,
+        score: _.round(score, 1),
+        message: `${values[i]} is ${difference > 0 ? 'above' : 'below'} the ${BASELINE_DAYS} day median of ${baseline} (${_.round(score, 1)} MADs)`,
+      })
+    }
+  }
+  return anomalies
+}
+
+// Finds days where a cumulative series in the daily summary goes back to zero.
+const detectDropsToZero = (daily) => {
+  let anomalies = []
+  for (let field of CUMULATIVE_FIELDS) {
+    for (let i = 1; i < daily.length; i++) {
+      if (daily[i - 1][field] > 0 && daily[i][field] == 0) {
+        anomalies.push({
+          type: 'dropToZero',
+          series: `daily.${field}`,
+          date: daily[i].date,
+          value: 0,
+          message: `Dropped to 0 from ${daily[i - 1][field]}`,
+        })
+      }
+    }
+  }
+  return anomalies
+}
+
+// The dates of a prefecture's dailyConfirmedCount.
+const prefectureDates = (prefecture) => {
+  const startDate = moment.utc(prefecture.dailyConfirmedStartDate)
+  return _.map(prefecture.dailyConfirmedCount, (v, i) => moment.utc(startDate).add(i, 'days').format('YYYY-MM-DD'))
+}
+
+// Finds prefectures that stopped getting new cases after having them regularly,
+// which usually means their tab or source hasn't been updated.
+const detectStalePrefectures = (prefectures) => {
+  let anomalies = []
+  for (let prefecture of _.filter(prefectures, v => !v.pseudoPrefecture && v.dailyConfirmedStartDate)) {
+    const counts = prefecture.dailyConfirmedCount
+    if (counts.length < STALE_DAYS + BASELINE_DAYS) {
+      continue
+    }
+    const recent = _.takeRight(counts, STALE_DAYS)
+    const before = _.takeRight(_.dropRight(counts, STALE_DAYS), BASELINE_DAYS)
+    const averageBefore = _.sum(before) / before.length
+    if (_.sum(recent) == 0 && averageBefore >= STALE_MIN_DAILY_AVERAGE) {
+      anomalies.push({
+        type: 'stalePrefecture',
+        series: `${prefecture.name}.dailyConfirmedCount`,
+        date: _.last(prefectureDates(prefecture)),
+        value: 0,
+        message: `No new cases for ${STALE_DAYS} days, after ${_.round(averageBefore, 1)} a day in the ${BASELINE_DAYS} days before`,
+      })
+    }
+  }
+  return anomalies
+}
+
+// Spikes in the daily confirmed count, nationally and for each prefecture.
+const detectConfirmedSpikes = (daily, prefectures) => {
+  let anomalies = detectSpikes(_.map(daily, 'confirmed'), _.map(daily, 'date'), 'daily.confirmed')
+  for (let prefecture of _.filter(prefectures, v => v.dailyConfirmedStartDate)) {
+    anomalies = _.concat(anomalies, detectSpikes(prefecture.dailyConfirmedCount, prefectureDates(prefecture), `${prefecture.name}.dailyConfirmedCount`))
+  }
+  return anomalies
+}
+
+// @param summary Object, output of Summarize.summarize
+// @returns Array of all anomalies.
+const detectAnomalies = (summary) => {
+  return _.concat(
+    detectConfirmedSpikes(summary.daily, summary.prefectures),
+    detectDropsToZero(summary.daily),
+    detectStalePrefectures(summary.prefectures))
+}
+
+// @param asOf YYYY-MM-DD, the last day of the summary.
+// @returns The anomalies in the RECENT_DAYS up to asOf.
+const recentAnomalies = (anomalies, asOf) => {
+  const firstDate = moment.utc(asOf).subtract(RECENT_DAYS - 1, 'days').format('YYYY-MM-DD')
+  return _.filter(anomalies, anomaly => anomaly.date >= firstDate)
+}
+
+// A plain text summary of the anomalies, most recent first.
+const formatAnomalies = (anomalies, generated) => {
+  let lines = [`Anomalies in the daily and prefecture counts (${generated})`, '']
+  if (anomalies.length == 0) {
+    lines.push('None found.')
+  }
+  for (let anomaly of _.orderBy(anomalies, ['date', 'series'], ['desc', 'asc'])) {
+    lines.push(`${anomaly.date}  ${anomaly.series}: ${anomaly.message}`)
+  }
+  return lines.join('\n') + '\n'
+}
+
+exports.detectSpikes = detectSpikes
+exports.detectDropsToZero = detectDropsToZero
+exports.detectStalePrefectures = detectStalePrefectures
+exports.detectConfirmedSpikes = detectConfirmedSpikes
+exports.detectAnomalies = detectAnomalies
+exports.recentAnomalies = recentAnomalies
+exports.formatAnomalies = formatAnomalies
@@ -0,0 +1,90 @@
+// Daily confirmed cases for each city (detectedCityTown) of each prefecture.
+//
+// detectedCityTown is written in Japanese or English, with varying case, spacing
+// and hyphens (大阪府八尾市, 八尾市, Yao; Kyoto City, Kyoto city; Higashiosaka,
+// Higashi Osaka; Kita-Kyushu, Kitakyushu). Names are matched within their
+// prefecture against src/statusboard/citynames.csv, and otherwise compared
+// ignoring case, spaces and hyphens, so each city is one entry.
+const _ = require('lodash')
+const moment = require('moment')
+const Papa = require('papaparse')
+const fs = require('fs')
+
+const Dates = require('./dates.js')
+
+const cityKey = (name) => {
+  return String(name).normalize('NFKC').replace(/[\s\-‐‑–—]+/g, '').toLowerCase()
+}
+
+// English name of each city in citynames.csv, by both its Japanese and English name.
+//
+// @returns { prefectureName: { cityKey: englishName } }
+const cityNames = () => {
+  let citynamesCsv = fs.readFileSync('./src/statusboard/citynames.csv', 'utf8')
+  let citynamesList = Papa.parse(citynamesCsv, {header: true, skipEmptyLines: true})
+  let names = {}
+  for (let row of citynamesList.data) {
+    const en = String(row.en).normalize('NFKC').replace(/\s+/g, ' ').trim()
+    names[row.prefecture] = names[row.prefecture] || {}
+    names[row.prefecture][cityKey(row.ja)] = en
+    names[row.prefecture][cityKey(en)] = en
+  }
+  return names
+}
+
+// Generates the city series.
+//
+// patients: Merged patients. Only confirmed patients with a detectedCityTown are counted.
+// asOf: moment of the last day in the daily series.
+//
+// @returns [{
+//   prefecture, name, names: the spellings of the city in the patient data,
+//   confirmed, newlyConfirmed, yesterdayConfirmed,
+//   dailyConfirmedCount, dailyConfirmedStartDate
+// }], ordered by number of confirmed cases.
+const cities = (patients, asOf) => {
+  const knownNames = cityNames()
+  let byKey = {}
+  for (let patient of patients) {
+    if (!patient.confirmedPatient || !patient.detectedCityTown) {
+      continue
+    }
+    const prefectureName = patient.detectedPrefecture
+    const prefectureNames = knownNames[prefectureName] || {}
+    const rawKey = cityKey(patient.detectedCityTown)
+    const key = `${prefectureName}/${prefectureNames[rawKey] ? cityKey(prefectureNames[rawKey]) : rawKey}`
+    if (!byKey[key]) {
+      byKey[key] = { prefecture: prefectureName, knownName: prefectureNames[rawKey], spellings: {}, confirmed: 0, byDate: {} }
+    }
+    let city = byKey[key]
+    const spelling = String(patient.detectedCityTown).trim()
+    city.spellings[spelling] = (city.spellings[spelling] || 0) + 1
+    city.confirmed += 1
+    city.byDate[patient.dateAnnounced] = (city.byDate[patient.dateAnnounced] || 0) + 1
+  }
+
+  const firstDay = moment(Dates.SERIES_START_DATE)
+  const citySummaries = _.map(_.values(byKey), city => {
+    let dailyConfirmed = []
+    let day = moment(firstDay)
+    while (day <= asOf) {
+      dailyConfirmed.push(city.byDate[day.format('YYYY-MM-DD')] || 0)
+      day = day.add(1, 'days')
+    }
+    // Cities that aren't in citynames.csv are named by their most common spelling.
+    const spellings = _.orderBy(_.toPairs(city.spellings), [a => a[1], a => a[0]], ['desc', 'asc'])
+    return {
+      prefecture: city.prefecture,
+      name: city.knownName || spellings[0][0],
+      names: _.sortBy(_.map(spellings, a => a[0])),
+      confirmed: city.confirmed,
+      newlyConfirmed: dailyConfirmed.length ? dailyConfirmed[dailyConfirmed.length - 1] : 0,
+      yesterdayConfirmed: dailyConfirmed.length > 1 ? dailyConfirmed[dailyConfirmed.length - 2] : 0,
+      dailyConfirmedCount: dailyConfirmed,
+      dailyConfirmedStartDate: firstDay.format('YYYY-MM-DD'),
+    }
+  })
+  return _.orderBy(citySummaries, ['confirmed', 'prefecture', 'name'], ['desc', 'asc', 'asc'])
+}
+
+exports.cities = cities
@@ -0,0 +1,179 @@
+// Clusters parsed from the free text knownCluster field of the patients.
+//
+// knownCluster lists the clusters a patient is part of, separated by commas
+// (e.g. "Osaka Live House Arc 2/15, (Indirect) Osaka Live House Soap Opera Classics Umeda").
+// Each name is normalized (full-width characters, case, dates of attendance and
+// an "(Indirect)" prefix) and mapped through the aliases in src/config/clusters.json
+// to its canonical name:
+//
+//   {
+//     "aliases": { "Kyoto Sangyo Uni.": "Kyoto Sangyo University", ... },
+//     "ignored": [ names that are not clusters, e.g. "Traveled to Europe" ]
+//   }
+//
+// A cluster's ID is derived from its canonical name, so it stays the same between
+// runs as long as the name does. To merge two clusters, add an alias.
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const moment = require('moment')
+const _ = require('lodash')
+
+const Dates = require('./dates.js')
+
+const DEFAULT_CONFIG_FILENAME = path.join(__dirname, 'config', 'clusters.json')
+
+// Patients in a cluster only indirectly (e.g. infected by someone who attended).
+const INDIRECT_PREFIX = /^\((indirect|間接)\)\s*/i
+// Dates of attendance at the end of a name: "2/15", "(2/15)", "(2/3-2/14)", "(2/16, 2/24)".
+const TRAILING_DATES = /\s*\(?\s*[0-9]{1,2}\/[0-9]{1,2}([\s,~〜-]+[0-9]{1,2}\/[0-9]{1,2})*\s*\)?\s*$/
+const QUALIFIERS = /^\*probably\*\s*/i
+
+let config = null
+
+// Normalizes a cluster name for comparison: full-width to half-width characters,
+// single spaces and no dates of attendance.
+//
+// @returns String, the display form of the name. Compare with clusterKey().
+const normalizeName = (name) => {
+  let normalized = String(name).normalize('NFKC').replace(/\s+/g, ' ').trim()
+  normalized = normalized.replace(QUALIFIERS, '')
+  let previous = null
+  while (previous != normalized) {
+    previous = normalized
+    normalized = normalized.replace(TRAILING_DATES, '').trim()
+  }
+  return normalized
+}
+
+const clusterKey = (name) => {
+  return normalizeName(name).toLowerCase()
+}
+
+// Loads the cluster configuration, replacing any previously loaded one.
+//
+// @param filename String, default src/config/clusters.json
+const loadConfig = (filename) => {
+  filename = filename || DEFAULT_CONFIG_FILENAME
+  const loadedConfig = _.defaults(JSON.parse(fs.readFileSync(filename, 'utf8')), { aliases: {}, ignored: [] })
+  config = {
+    aliases: _.mapKeys(_.mapValues(loadedConfig.aliases, normalizeName), (v, k) => clusterKey(k)),
+    ignored: _.map(loadedConfig.ignored, clusterKey),
+  }
+  return config
+}
+
+const currentConfig = () => {
+  if (!config) {
+    loadConfig()
+  }
+  return config
+}
+
+const clusterId = (canonicalName) => {
+  const hash = crypto.createHash('sha1').update(clusterKey(canonicalName)).digest('hex')
+  return `cluster:${hash.slice(0, 8)}`
+}
+
+// Splits a knownCluster value on commas (and " & ") that are not in parentheses.
+const splitClusters = (value) => {
+  let parts = []
+  let current = ''
+  let depth = 0
+  for (let c of String(value).normalize('NFKC')) {
+    if (c == '(') {
+      depth++
+    } else if (c == ')') {
+      depth = Math.max(0, depth - 1)
+    }
+    if ((c == ',' || c == '、') && depth == 0) {
+      parts.push(current)
+      current = ''
+    } else {
+      current += c
+    }
+  }
+  parts.push(current)
+  return _.filter(_.map(_.flatMap(parts, part => part.split(/\s+&\s+/)), _.trim), part => part.length > 0)
+}
+
+// Parses a patient's knownCluster field.
+//
+// @returns [{ id, name, indirect, rawName }], one for each distinct cluster.
+const parseKnownCluster = (value) => {
+  if (!value) {
+    return []
+  }
+  const options = currentConfig()
+  const parsed = _.compact(_.map(splitClusters(value), rawName => {
+    const indirect = INDIRECT_PREFIX.test(rawName)
+    const key = clusterKey(rawName.replace(INDIRECT_PREFIX, ''))
+    if (!key || options.ignored.indexOf(key) != -1) {
+      return null
+    }
+    const name = options.aliases[key] || normalizeName(rawName.replace(INDIRECT_PREFIX, ''))
+    return { id: clusterId(name), name: name, indirect: indirect, rawName: rawName }
+  }))
+  // A patient that is in a cluster both directly and indirectly is a direct member.
+  return _.uniqBy(_.sortBy(parsed, v => v.indirect ? 1 : 0), 'id')
+}
+
+const dailySeries = (dates) => {
+  const firstDay = moment.utc(_.min(dates))
+  const days = moment.utc(_.max(dates)).diff(firstDay, 'days') + 1
+  const counts = _.countBy(dates)
+  return _.times(days, day => counts[moment.utc(firstDay).add(day, 'days').format('YYYY-MM-DD')] || 0)
+}
+
+// Builds the clusters from the patients' knownCluster fields.
+//
+// @param patients Array, merged patients. Only confirmed patients are counted.
+// @returns [{
+//   id, name, names: the names it appears as in the sheet,
+//   size, indirect: patients only indirectly related, deceased,
+//   firstDate, lastDate: dateAnnounced of the first and last patient,
+//   prefectures: [{ name, count }], by count,
+//   patients: [patientId],
+//   dailyConfirmedCount: patients announced each day from dailyConfirmedStartDate (firstDate) to lastDate,
+// }], largest first.
+const clusters = (patients) => {
+  let byId = {}
+  for (let patient of patients) {
+    if (!patient.confirmedPatient) {
+      continue
+    }
+    for (let membership of parseKnownCluster(patient.knownCluster)) {
+      if (!byId[membership.id]) {
+        byId[membership.id] = { id: membership.id, name: membership.name, names: [], members: [] }
+      }
+      byId[membership.id].names.push(membership.rawName)
+      byId[membership.id].members.push({ patient: patient, indirect: membership.indirect })
+    }
+  }
+
+  const summaries = _.map(byId, cluster => {
+    const members = _.map(cluster.members, 'patient')
+    const dates = _.filter(_.map(members, 'dateAnnounced'), Dates.isISODate)
+    const prefectureCounts = _.countBy(members, 'detectedPrefecture')
+    return {
+      id: cluster.id,
+      name: cluster.name,
+      names: _.sortBy(_.uniq(cluster.names)),
+      size: members.length,
+      indirect: _.filter(cluster.members, 'indirect').length,
+      deceased: _.filter(members, { patientStatus: 'Deceased' }).length,
+      firstDate: dates.length ? _.min(dates) : null,
+      lastDate: dates.length ? _.max(dates) : null,
+      prefectures: _.orderBy(_.map(prefectureCounts, (count, name) => ({ name: name, count: count })), ['count', 'name'], ['desc', 'asc']),
+      patients: _.map(members, 'patientId'),
+      dailyConfirmedCount: dates.length ? dailySeries(dates) : [],
+      dailyConfirmedStartDate: dates.length ? _.min(dates) : null,
+    }
+  })
+  return _.orderBy(summaries, ['size', 'id'], ['desc', 'asc'])
+}
+
+exports.loadConfig = loadConfig
+exports.normalizeName = normalizeName
+exports.parseKnownCluster = parseKnownCluster
+exports.clusters = clusters
@@ -0,0 +1,76 @@
+// Versioned column schemas for tabs (columnSchemas in src/config/tabs.json).
+//
+// A schema maps each output field to the normalized sheet header it is read from
+// and marks it as required or optional:
+//
+//   {
+//     "version": 1,
+//     "onMissingRequired": "fail" or "warn",
+//     "ignoredColumns": [ headers we know about but deliberately don't read ],
+//     "columns": { "patientId": { "header": "patientNumber", "required": true }, ... }
+//   }
+//
+// checkColumns compares a schema against the headers of a fetched tab so that a
+// renamed column is reported instead of silently disappearing from the output.
+const _ = require('lodash')
+
+class ColumnDriftError extends Error {
+  constructor(message, sheetName) {
+    super(`ColumnDriftError: ${message}`)
+    this.name = this.constructor.name
+    this.sheetName = sheetName
+  }
+}
+
+// @returns Object mapping output field -> normalized sheet header.
+const columnMapping = (schema) => {
+  return _.mapValues(schema.columns, column => column.header)
+}
+
+// Compares the schema with the headers found in a tab.
+//
+// @returns {
+//   missingRequired: [ output fields whose header is missing ],
+//   missingOptional: [ output fields whose header is missing ],
+//   ignored: [ headers in the tab that the schema does not read ]
+// }
+const checkColumns = (schema, fields) => {
+  const isMissing = column => fields.indexOf(column.header) == -1
+  const mappedHeaders = _.map(_.values(schema.columns), 'header')
+  const knownHeaders = _.concat(mappedHeaders, schema.ignoredColumns || [])
+  return {
+    missingRequired: _.keys(_.pickBy(schema.columns, column => column.required && isMissing(column))),
+    missingOptional: _.keys(_.pickBy(schema.columns, column => !column.required && isMissing(column))),
+    ignored: _.filter(_.uniq(fields), v => v !== '' && knownHeaders.indexOf(v) == -1),
+  }
+}
+
+// Logs the column drift of a tab, and throws if required columns are missing
+// and the schema (or tab) is configured to fail.
+//
+// @param onMissingRequired String, 'fail' or 'warn'. Overrides schema.onMissingRequired.
+// @throws ColumnDriftError
+const reportColumnDrift = (sheetName, schemaName, schema, drift, onMissingRequired) => {
+  const schemaLabel = `${schemaName} v${schema.version}`
+  if (drift.ignored.length) {
+    console.log(`${sheetName}: Ignoring columns not in schema ${schemaLabel}: ${drift.ignored.join(', ')}`)
+  }
+  if (drift.missingOptional.length) {
+    console.log(`${sheetName}: Missing optional columns for ${drift.missingOptional.join(', ')}`)
+  }
+  if (drift.missingRequired.length) {
+    const headers = _.map(drift.missingRequired, field => `${field} (${schema.columns[field].header})`)
+    const message = `${sheetName} is missing required columns of schema ${schemaLabel}: ${headers.join(', ')}`
+    if ((onMissingRequired || schema.onMissingRequired) == 'warn') {
+      console.warn(`Warning: ${message}`)
+    } else {
+      throw new ColumnDriftError(message, sheetName)
+    }
+  }
+  return drift
+}
+
+exports.ColumnDriftError = ColumnDriftError
+exports.columnMapping = columnMapping
+exports.checkColumns = checkColumns
+exports.reportColumnDrift = reportColumnDrift
@@ -0,0 +1,180 @@
+// Date parsing shared across the pipeline.
+//
+// The spreadsheet has both full dates (2020-04-01, 2020/4/1) and short dates
+// without a year (4/1). Short dates get their year from context: a nearby date
+// we do know (e.g. dateAnnounced for a deceased date), the ordering of dates in
+// a row of headers, or the date we are running on. Dates are returned as
+// YYYY-MM-DD strings.
+const moment = require('moment')
+const _ = require('lodash')
+
+const ISO_DATE_PATTERN = /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/
+// The whole value has to be the date, so that free text (e.g. "Contact with #12 on 3/4")
+// isn't taken for one.
+const FULL_DATE_PATTERN = /^\s*([0-9]{4})[-/年]([0-9]{1,2})[-/月]([0-9]{1,2})日?\s*$/
+const SHORT_DATE_PATTERN = /^\s*([0-9]{1,2})\/([0-9]{1,2})\s*$/
+
+// First day of the per-prefecture daily series, and of the cruise ship series.
+const SERIES_START_DATE = '2020-01-08'
+const CRUISE_SERIES_START_DATE = '2020-02-04'
+
+// A short date may be a few days after the run date (e.g. a scheduled update).
+const FUTURE_TOLERANCE_DAYS = 7
+
+let runDateOverride = null
+
+// The date (JST) the pipeline treats as today.
+//
+// @returns moment
+const runDate = () => {
+  if (runDateOverride) {
+    return moment(runDateOverride)
+  }
+  // Add 540 = UTC+9 for JST.
+  return moment().utcOffset(540)
+}
+
+// Overrides today, e.g. when replaying fixtures that were recorded on another day.
+//
+// @param date moment or String, or null to use the current time again.
+const setRunDate = (date) => {
+  if (!date) {
+    runDateOverride = null
+  } else {
+    runDateOverride = moment.isMoment(date) ? moment(date) : moment.parseZone(date)
+  }
+}
+
+const isISODate = (v) => {
+  return typeof v === 'string' && ISO_DATE_PATTERN.test(v)
+}
+
+const formatDate = (year, month, day) => {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+// Converts a reference (moment, or YYYY-MM-DD string) to a YYYY-MM-DD string.
+const referenceDateString = (reference) => {
+  if (!reference) {
+    return runDate().format('YYYY-MM-DD')
+  }
+  if (moment.isMoment(reference)) {
+    return reference.format('YYYY-MM-DD')
+  }
+  return reference
+}
+
+const candidateDates = (month, day, reference) => {
+  const year = parseInt(reference.slice(0, 4))
+  return _.filter(_.map([year - 1, year, year + 1], y => formatDate(y, month, day)), v => {
+    return moment.utc(v, 'YYYY-MM-DD', true).isValid()
+  })
+}
+
+const daysBetween = (a, b) => {
+  return moment.utc(b).diff(moment.utc(a), 'days')
+}
+
+// @returns The YYYY-MM-DD for month/day that is closest to reference.
+const closestDate = (month, day, reference) => {
+  return _.minBy(candidateDates(month, day, reference), v => Math.abs(daysBetween(v, reference)))
+}
+
+// @returns The latest YYYY-MM-DD for month/day that is not after reference (plus tolerance).
+const latestDateNotAfter = (month, day, reference, toleranceDays) => {
+  const candidates = _.filter(candidateDates(month, day, reference), v => {
+    return daysBetween(reference, v) <= toleranceDays
+  })
+  return _.last(candidates)
+}
+
+// Parses a date in the formats used in the spreadsheet.
+//
+// @param v String, a full date (2020-04-01, 2020/4/1, 2020年4月1日) or short date (4/1).
+// @param reference moment or YYYY-MM-DD, a known date close to v. A short date gets
+//   the year that puts it closest to reference. Without a reference, a short date
+//   gets the latest year that doesn't put it in the future of runDate().
+// @returns YYYY-MM-DD, or v unchanged if it is not a date.
+const parseDate = (v, reference) => {
+  if (typeof v !== 'string' || !v) {
+    return v
+  }
+  if (isISODate(v)) {
+    return v
+  }
+
+  const fullMatch = v.match(FULL_DATE_PATTERN)
+  if (fullMatch) {
+    return formatDate(fullMatch[1], fullMatch[2], fullMatch[3])
+  }
+
+  const shortMatch = v.match(SHORT_DATE_PATTERN)
+  if (shortMatch) {
+    const month = parseInt(shortMatch[1])
+    const day = parseInt(shortMatch[2])
+    const parsed = reference
+      ? closestDate(month, day, referenceDateString(reference))
+      : latestDateNotAfter(month, day, referenceDateString(), FUTURE_TOLERANCE_DAYS)
+    if (parsed) {
+      return parsed
+    }
+  }
+  return v
+}
+
+// Parses a list of dates that are in ascending order (e.g. the date headers of a tab),
+// rolling the year over where the dates go from December to January.
+//
+// The last date is anchored to runDate() (or reference), and each earlier date
+// gets the latest year that keeps the list in order. Values that are not dates
+// are returned unchanged.
+//
+// @returns Array of YYYY-MM-DD (or unchanged values)
+const parseDateSequence = (values, reference) => {
+  let results = _.clone(values)
+  let laterDate = null
+  for (let i = values.length - 1; i >= 0; i--) {
+    let v = values[i]
+    if (typeof v !== 'string') {
+      continue
+    }
+    if (isISODate(v) || FULL_DATE_PATTERN.test(v)) {
+      results[i] = parseDate(v)
+      laterDate = results[i]
+      continue
+    }
+    const shortMatch = v.match(SHORT_DATE_PATTERN)
+    if (shortMatch) {
+      const month = parseInt(shortMatch[1])
+      const day = parseInt(shortMatch[2])
+      const parsed = laterDate
+        ? latestDateNotAfter(month, day, laterDate, 0)
+        : latestDateNotAfter(month, day, referenceDateString(reference), FUTURE_TOLERANCE_DAYS)
+      if (parsed) {
+        results[i] = parsed
+        laterDate = parsed
+      }
+    }
+  }
+  return results
+}
+
+// ISO week (weeks start on Monday) of a YYYY-MM-DD date.
+//
+// @returns { week: 'YYYY-Www', startDate: YYYY-MM-DD of its Monday }
+const isoWeek = (date) => {
+  const day = moment.utc(date, 'YYYY-MM-DD', true)
+  return {
+    week: day.format('GGGG-[W]WW'),
+    startDate: day.startOf('isoWeek').format('YYYY-MM-DD'),
+  }
+}
+
+exports.SERIES_START_DATE = SERIES_START_DATE
+exports.CRUISE_SERIES_START_DATE = CRUISE_SERIES_START_DATE
+exports.runDate = runDate
+exports.setRunDate = setRunDate
+exports.isISODate = isISODate
+exports.parseDate = parseDate
+exports.parseDateSequence = parseDateSequence
+exports.isoWeek = isoWeek
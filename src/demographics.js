@@ -0,0 +1,111 @@
+// Confirmed cases and deaths by age bracket and gender, for all of Japan and
+// each prefecture, in total and per ISO week.
+//
+// Each breakdown is a table of counts:
+//
+//   { "0": { "M": 1, "F": 2, "unknown": 0 }, "10": { ... }, ..., "90+": { ... }, "unknown": { ... } }
+//
+// keyed by age bracket (see ageBracket in patient_data, 90 and over are together)
+// and then gender. Patients without a known age bracket or gender are counted
+// under "unknown", so every table adds up to the total count.
+const _ = require('lodash')
+
+const Dates = require('./dates.js')
+
+const AGE_BRACKETS = ['0', '10', '20', '30', '40', '50', '60', '70', '80', '90+', 'unknown']
+const GENDERS = ['M', 'F', 'unknown']
+const OLDEST_BRACKET = 90
+
+const emptyTable = () => {
+  return _.fromPairs(_.map(AGE_BRACKETS, bracket => {
+    return [bracket, _.fromPairs(_.map(GENDERS, gender => [gender, 0]))]
+  }))
+}
+
+const ageBracketKey = (patient) => {
+  const bracket = patient.ageBracket
+  if (typeof bracket !== 'number' || bracket < 0) {
+    return 'unknown'
+  }
+  if (bracket >= OLDEST_BRACKET) {
+    return '90+'
+  }
+  // Some rows have an age rather than its bracket (e.g. 1 or 5).
+  return String(Math.floor(bracket / 10) * 10)
+}
+
+const genderKey = (patient) => {
+  return (patient.gender == 'M' || patient.gender == 'F') ? patient.gender : 'unknown'
+}
+
+const emptyBreakdown = () => {
+  return { confirmed: emptyTable(), deceased: emptyTable() }
+}
+
+// Counts patients into a group's cumulative and weekly breakdowns.
+//
+// group: { cumulative: breakdown, weeks: { week: { week, startDate, confirmed, deceased } } }
+// measure: 'confirmed' or 'deceased'
+// date: Date the patient is counted on for the weekly breakdown. Patients without
+//   a valid date are only counted in the cumulative one.
+const count = (group, measure, patient, date) => {
+  const bracket = ageBracketKey(patient)
+  const gender = genderKey(patient)
+  group.cumulative[measure][bracket][gender] += 1
+  if (!Dates.isISODate(date)) {
+    return
+  }
+  const isoWeek = Dates.isoWeek(date)
+  if (!group.weeks[isoWeek.week]) {
+    group.weeks[isoWeek.week] = _.assign({ week: isoWeek.week, startDate: isoWeek.startDate }, emptyBreakdown())
+  }
+  group.weeks[isoWeek.week][measure][bracket][gender] += 1
+}
+
+// Computes the demographics.
+//
+// @param patients Array, merged patients. Confirmed cases are counted by
+//   dateAnnounced (only confirmedPatient), deaths by deceasedDate.
+// @returns {
+//   ageBrackets: AGE_BRACKETS, genders: GENDERS,
+//   national: { cumulative: { confirmed, deceased }, weeks: [{ week, startDate, confirmed, deceased }] },
+//   prefectures: [{ name, cumulative, weeks }], by name
+// }
+const demographics = (patients) => {
+  const newGroup = () => {
+    return { cumulative: emptyBreakdown(), weeks: {} }
+  }
+  let national = newGroup()
+  let prefectures = {}
+
+  for (let patient of patients) {
+    const prefectureName = patient.detectedPrefecture
+    if (!prefectures[prefectureName]) {
+      prefectures[prefectureName] = newGroup()
+    }
+    for (let group of [national, prefectures[prefectureName]]) {
+      if (patient.confirmedPatient) {
+        count(group, 'confirmed', patient, patient.dateAnnounced)
+      }
+      if (patient.patientStatus == 'Deceased') {
+        count(group, 'deceased', patient, patient.deceasedDate)
+      }
+    }
+  }
+
+  const sortedWeeks = (group) => {
+    return { cumulative: group.cumulative, weeks: _.sortBy(_.values(group.weeks), 'week') }
+  }
+  return {
+    ageBrackets: AGE_BRACKETS,
+    genders: GENDERS,
+    national: sortedWeeks(national),
+    prefectures: _.sortBy(_.map(prefectures, (group, name) => {
+      return _.assign({ name: name }, sortedWeeks(group))
+    }), 'name'),
+  }
+}
+
+exports.AGE_BRACKETS = AGE_BRACKETS
+exports.GENDERS = GENDERS
+exports.demographics = demographics
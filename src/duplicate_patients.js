@@ -0,0 +1,300 @@
+// Duplicate detection for patients without a patientId.
+//
+// Rows without a patientId are usually reports (often of a death) about a
+// patient that is already in the sheet under another row, or in another tab.
+// We score each of them against the other rows without a patientId and against
+// the patients with one, from the same prefecture and announced around the same
+// time, on the fields that describe the patient.
+//
+// Candidate pairs are written out for review. Once a reviewer confirms a pair
+// in src/config/duplicates.json, the row without a patientId is collapsed into
+// the patient it duplicates on every run:
+//
+//   {
+//     "reviewThreshold": Minimum score for a pair to be reviewed (0 - 1).
+//     "confirmed": [ { "candidate": key, "duplicateOf": key } ],
+//     "rejected": [ { "candidate": key, "duplicateOf": key } ]
+//   }
+//
+// Keys are the patientId, or unidentified:<hash> for rows without one (see patientKeys).
+// A confirmed pair whose rows are gone, or no longer match, is not collapsed and
+// is reported as stale.
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const moment = require('moment')
+const _ = require('lodash')
+
+const PatientIdentity = require('./patient_identity.js')
+
+const DEFAULT_CONFIG_FILENAME = path.join(__dirname, 'config', 'duplicates.json')
+
+// How much each field counts towards the score. They add up to 1.
+const FIELD_WEIGHTS = {
+  detectedPrefecture: 0.1,
+  dateAnnounced: 0.25,
+  ageBracket: 0.2,
+  gender: 0.15,
+  detectedCityTown: 0.15,
+  notes: 0.15,
+}
+
+// Patients announced further apart than this are not compared.
+const MAX_DAYS_APART = 14
+
+// Candidates per row without a patientId that are kept for review, best first.
+const MAX_CANDIDATES_PER_ROW = 5
+
+// Fields of a row without a patientId that don't change once it is in the sheet,
+// which its key is made from (with its tab).
+const KEY_FIELDS = ['dateAnnounced', 'detectedPrefecture', 'detectedCityTown', 'ageBracket', 'gender']
+
+// Fields that describe where a row came from rather than the patient.
+const NON_PATIENT_FIELDS = ['identity', 'provenance', 'collapsedDuplicates']
+
+let config = null
+
+// Loads the duplicates configuration, replacing any previously loaded one.
+//
+// @param filename String, default src/config/duplicates.json
+const loadConfig = (filename) => {
+  filename = filename || DEFAULT_CONFIG_FILENAME
+  const loadedConfig = JSON.parse(fs.readFileSync(filename, 'utf8'))
+  config = _.defaults(loadedConfig, { reviewThreshold: 0.5, confirmed: [], rejected: [] })
+  return config
+}
+
+const currentConfig = () => {
+  if (!config) {
+    loadConfig()
+  }
+  return config
+}
+
+const isUnidentified = (patient) => {
+  return !PatientIdentity.hasPatientId(patient)
+}
+
+// The fields a reviewer needs to decide on a pair.
+const reviewSummary = (patient) => {
+  return _.pick(patient, _.concat(['patientId', 'patientStatus', 'deceasedDate', 'sourceURL'], _.keys(FIELD_WEIGHTS)))
+}
+
+// Stable keys for each patient: the patientId, or a hash of the tab and KEY_FIELDS
+// for rows without one, so that a key doesn't change when the patient's status or
+// notes are updated. Rows with the same hash get a :2, :3 ... suffix, ordered by
+// the rest of their fields rather than by where they are in the sheet.
+//
+// @returns Array of keys, in the same order as patients.
+const patientKeys = (patients) => {
+  let keys = _.map(patients, patient => {
+    if (!isUnidentified(patient)) {
+      return String(patient.patientId)
+    }
+    const source = patient.identity ? patient.identity.sourceTab : ''
+    const hash = crypto.createHash('sha1').update(source + JSON.stringify(_.pick(patient, KEY_FIELDS))).digest('hex').slice(0, 12)
+    return `unidentified:${hash}`
+  })
+
+  const rowContent = (index) => JSON.stringify(_.toPairs(_.omit(patients[index], NON_PATIENT_FIELDS)).sort())
+  const unidentifiedIndexes = _.filter(_.range(patients.length), index => isUnidentified(patients[index]))
+  _.forEach(_.groupBy(unidentifiedIndexes, index => keys[index]), (indexes, key) => {
+    _.forEach(_.sortBy(indexes, rowContent), (index, order) => {
+      if (order > 0) {
+        keys[index] = `${key}:${order + 1}`
+      }
+    })
+  })
+  return keys
+}
+
+const isKnown = (field, v) => {
+  if (typeof v === 'undefined' || v === null || v === '') {
+    return false
+  }
+  return !(field == 'ageBracket' && v == -1)
+}
+
+const noteWords = (notes) => {
+  return _.uniq(_.filter(String(notes || '').toLowerCase().split(/[\s,.;:()、。（）]+/)))
+}
+
+// @returns 0 - 1, how similar two values of field are, or null if they contradict each other.
+const fieldSimilarity = (field, a, b) => {
+  if (!isKnown(field, a) || !isKnown(field, b)) {
+    return 0
+  }
+  if (field == 'dateAnnounced') {
+    const days = Math.abs(moment.utc(a).diff(moment.utc(b), 'days'))
+    return (days > MAX_DAYS_APART) ? null : 1 - days / (MAX_DAYS_APART + 1)
+  }
+  if (field == 'notes') {
+    const wordsA = noteWords(a)
+    const wordsB = noteWords(b)
+    const union = _.union(wordsA, wordsB)
+    return union.length ? _.intersection(wordsA, wordsB).length / union.length : 0
+  }
+  if (field == 'detectedCityTown') {
+    // Cities are often filled in later, or spelt differently, so a mismatch only scores 0.
+    return (String(a).toLowerCase() == String(b).toLowerCase()) ? 1 : 0
+  }
+  return _.isEqual(a, b) ? 1 : null
+}
+
+// Scores how likely it is that two rows are the same patient.
+//
+// @returns { score: 0 - 1, matchedFields: [field] }, or null if they can't be the
+//   same patient (different prefecture, age bracket or gender, or too far apart).
+const scorePair = (a, b) => {
+  if (a.detectedPrefecture != b.detectedPrefecture) {
+    return null
+  }
+  let score = 0
+  let matchedFields = []
+  for (let field of _.keys(FIELD_WEIGHTS)) {
+    const similarity = fieldSimilarity(field, a[field], b[field])
+    if (similarity === null) {
+      return null
+    }
+    if (similarity > 0) {
+      score += FIELD_WEIGHTS[field] * similarity
+      matchedFields.push(field)
+    }
+  }
+  return { score: _.round(score, 3), matchedFields: matchedFields }
+}
+
+const pairId = (candidate, duplicateOf) => {
+  return `${candidate}=${duplicateOf}`
+}
+
+// Finds the rows without a patientId that may be duplicates.
+//
+// Each row is compared with the rows without a patientId before it, and with all
+// patients that have a patientId. Rows that were confirmed as duplicates, and pairs
+// that were rejected, are left out. Call this before collapseConfirmedDuplicates,
+// as collapsing changes the keys of the rows that were collapsed into.
+//
+// @returns Array of {
+//   candidate: Key of the row without a patientId,
+//   duplicateOf: Key of the patient it may be a duplicate of,
+//   score, matchedFields,
+//   patients: [candidate, duplicateOf] summaries, for review
+// }, best score first.
+const findDuplicateCandidates = (patients) => {
+  const keys = patientKeys(patients)
+  const reviewed = _.fromPairs(_.map(_.concat(currentConfig().confirmed, currentConfig().rejected), pair => {
+    return [pairId(pair.candidate, pair.duplicateOf), true]
+  }))
+  const confirmedCandidates = _.fromPairs(_.map(currentConfig().confirmed, pair => [pair.candidate, true]))
+  const indexesByPrefecture = _.groupBy(_.range(patients.length), i => patients[i].detectedPrefecture)
+
+  let candidates = []
+  _.forEach(patients, (patient, index) => {
+    if (!isUnidentified(patient) || confirmedCandidates[keys[index]]) {
+      return
+    }
+    let rowCandidates = []
+    for (let otherIndex of indexesByPrefecture[patient.detectedPrefecture]) {
+      const other = patients[otherIndex]
+      if (otherIndex == index || (isUnidentified(other) && otherIndex > index)) {
+        continue
+      }
+      if (reviewed[pairId(keys[index], keys[otherIndex])]) {
+        continue
+      }
+      const scored = scorePair(patient, other)
+      if (!scored || scored.score < currentConfig().reviewThreshold) {
+        continue
+      }
+      rowCandidates.push({
+        candidate: keys[index],
+        duplicateOf: keys[otherIndex],
+        score: scored.score,
+        matchedFields: scored.matchedFields,
+        patients: [reviewSummary(patient), reviewSummary(other)],
+      })
+    }
+    candidates = _.concat(candidates, _.take(_.orderBy(rowCandidates, ['score'], ['desc']), MAX_CANDIDATES_PER_ROW))
+  })
+  return _.orderBy(candidates, ['score', 'candidate'], ['desc', 'asc'])
+}
+
+// Copies what the duplicate knows that the patient doesn't. A death reported in
+// the duplicate is kept, so the patient is still counted as deceased.
+const collapseInto = (patient, duplicate, duplicateKey) => {
+  const fields = _.difference(_.keys(duplicate), _.concat(NON_PATIENT_FIELDS, ['patientId', 'confirmedPatient', 'ageRange']))
+  let copiedFields = _.filter(fields, field => {
+    return !isKnown(field, patient[field]) && isKnown(field, duplicate[field])
+  })
+  if (duplicate.patientStatus == 'Deceased' && patient.patientStatus != 'Deceased') {
+    copiedFields = _.union(copiedFields, ['patientStatus', 'deceasedDate'])
+  }
+
+  for (let field of copiedFields) {
+    patient[field] = duplicate[field]
+    if (patient.provenance && duplicate.provenance) {
+      patient.provenance[field] = duplicate.provenance[field]
+    }
+  }
+  if (_.includes(copiedFields, 'ageBracket') && duplicate.ageRange) {
+    patient.ageRange = duplicate.ageRange
+  }
+  patient.collapsedDuplicates = _.concat(patient.collapsedDuplicates || [], [duplicateKey], duplicate.collapsedDuplicates || [])
+}
+
+// Collapses the confirmed duplicates (see config) into the patient they duplicate.
+//
+// @returns {
+//   patients: Patients without the collapsed rows,
+//   collapsed: The confirmed pairs that were collapsed,
+//   stale: [{ candidate, duplicateOf, reason }] The confirmed pairs that were not
+//     collapsed, because either row is no longer in the sheet or they no longer match.
+// }
+const collapseConfirmedDuplicates = (patients) => {
+  const keys = patientKeys(patients)
+  const patientsByKey = _.zipObject(keys, patients)
+
+  // Where each collapsed row went, so that a chain of duplicates ends up in one patient.
+  let collapsedInto = {}
+  const resolve = (key) => {
+    while (collapsedInto[key]) {
+      key = collapsedInto[key]
+    }
+    return key
+  }
+
+  let collapsed = []
+  let stale = []
+  for (let pair of currentConfig().confirmed) {
+    const duplicate = patientsByKey[pair.candidate]
+    const targetKey = resolve(pair.duplicateOf)
+    let reason = null
+    if (!duplicate || !isUnidentified(duplicate) || !patientsByKey[targetKey]) {
+      reason = 'is no longer in the sheet'
+    } else if (collapsedInto[pair.candidate] || targetKey == pair.candidate) {
+      reason = 'is already collapsed'
+    } else if (!scorePair(duplicate, patientsByKey[targetKey])) {
+      reason = 'no longer matches'
+    }
+    if (reason) {
+      stale.push(_.assign({}, pair, { reason: reason }))
+      continue
+    }
+    collapseInto(patientsByKey[targetKey], duplicate, pair.candidate)
+    collapsedInto[pair.candidate] = targetKey
+    collapsed.push(pair)
+  }
+
+  return {
+    patients: _.filter(patients, (patient, index) => !collapsedInto[keys[index]]),
+    collapsed: collapsed,
+    stale: stale,
+  }
+}
+
+exports.loadConfig = loadConfig
+exports.patientKeys = patientKeys
+exports.scorePair = scorePair
+exports.findDuplicateCandidates = findDuplicateCandidates
+exports.collapseConfirmedDuplicates = collapseConfirmedDuplicates
@@ -0,0 +1,24 @@
+// Errors raised while fetching tabs from the spreadsheet (or its local exports),
+// so callers can tell apart failures that are worth retrying or aborting on.
+
+class FetchSheetError extends Error {
+  constructor(message, sheetName) {
+    super(`FetchSheetError: ${message}`)
+    this.name = this.constructor.name
+    this.sheetName = sheetName
+  }
+}
+
+// The tab does not exist in the spreadsheet (or has not been exported/recorded).
+class TabMissingError extends FetchSheetError {}
+
+// The Sheets API refused the request because we exceeded our quota.
+class QuotaError extends FetchSheetError {}
+
+// The response could not be parsed, or did not contain any rows.
+class MalformedResponseError extends FetchSheetError {}
+
+exports.FetchSheetError = FetchSheetError
+exports.TabMissingError = TabMissingError
+exports.QuotaError = QuotaError
+exports.MalformedResponseError = MalformedResponseError
@@ -1,11 +1,16 @@
 const _ = require('lodash')
-const FetchSheet = require('./fetch_sheet.js')
+const TabConfig = require('./tab_config.js')
+const Dates = require('./dates.js')
+const PatientIdentity = require('./patient_identity.js')
+const Age = require('./age.js')
 
 const numberPattern = /[0-9]+$/
-const shortDatePattern = /([0-9]+)\/([0-9]+)/
 
 // Post processes the data to normalize field names etc.
-const postProcessData = (rawData) => {
+//
+// rawData: Rows fetched from a patient tab.
+// columnMapping: Object mapping each output field to the normalized sheet header it comes from.
+const postProcessData = (rawData, columnMapping) => {
 
   // Check validity of the row.
   const isValidRow = row => {
@@ -15,18 +20,13 @@ const postProcessData = (rawData) => {
   }
 
   const transformRow = row => {
-    const normalizeNumber = n => {
-      if (isNaN(parseInt(n))) { return -1 }
-      return parseInt(n)
-    }
-
     // Converts the number into a string, if possible.
     const normalizeId = n => {
       // Check if it has any number in it.
       if (numberPattern.test(n)) {
         return n
       }
-      return -1
+      return PatientIdentity.MISSING_PATIENT_ID
     }
 
     // Converts Gender
@@ -40,42 +40,31 @@ const postProcessData = (rawData) => {
       return ''
     }
 
-    // Parse short date
-    const parseShortDate = v => {
-      if (v) {
-        let shortDateMatch = v.match(shortDatePattern)
-        if (shortDateMatch) {
-          let month = shortDateMatch[1].padStart(2, '0')
-          let day = shortDateMatch[2].padStart(2, '0')
-          return `2020-${month}-${day}`
-        }
-      }
-      return v
+    // Dates without a year (e.g. the deceased date "4/1") take the year closest to the
+    // date the patient was announced.
+    const dateAnnounced = Dates.parseDate(row[columnMapping.dateAnnounced])
+    const parseDateNearAnnounced = v => {
+      return Dates.parseDate(v, Dates.isISODate(dateAnnounced) ? dateAnnounced : undefined)
     }
 
-    let transformedRow = {
-      'patientId': normalizeId(row.patientNumber),
-      'dateAnnounced': row.dateAnnounced,
-      'ageBracket': normalizeNumber(row.ageBracket),
-      'gender': normalizeGender(row.gender),
-      'residence': row.residenceCityPrefecture,
-      'detectedCityTown': row.detectedCity,
-      'detectedPrefecture': row.detectedPrefecture,
-      'patientStatus': row.status,
-      'notes': row.notes,
-      'knownCluster': row.knownCluster,
-      'relatedPatients': row.relatedPatients,
-      'mhlwPatientNumber': row.mhlwOrigPatientNumber,
-      'prefecturePatientNumber': row.prefecturePatientNumber,
-      'cityPrefectureNumber': row.cityPatientNumber,
-      'prefectureSourceURL': row.prefectureUrlAuto,
-      'charterFlightPassenger': row.charterFlightPassenger,
-      'cruisePassengerDisembarked': row.cruisePassengerDisembarked,
-      'detectedAtPort': row.detectedAtPort,
-      'deceasedDate': parseShortDate(row.deceased),
-      'sourceURL': row.sourceS,
+    // ageBracket is derived from the structured age, which keeps the ranges
+    // and exact ages a single bracket number can't hold.
+    const age = Age.parseAge(row[columnMapping.ageBracket])
+
+    const fieldNormalizers = {
+      'patientId': normalizeId,
+      'dateAnnounced': Dates.parseDate,
+      'ageBracket': () => Age.ageBracket(age),
+      'gender': normalizeGender,
+      'deceasedDate': parseDateNearAnnounced,
     }
 
+    // Map the normalized sheet headers to our output fields.
+    let transformedRow = _.mapValues(columnMapping, (header, field) => {
+      const normalize = fieldNormalizers[field]
+      return normalize ? normalize(row[header]) : row[header]
+    })
+
     // filter empty cells.
     transformedRow = _.pickBy(transformedRow, (v, k) => {
       if (v === '' || v === false || typeof v === 'undefined') {
@@ -96,8 +85,10 @@ const postProcessData = (rawData) => {
       return v
     })
 
+    transformedRow.ageRange = Age.compactAge(age)
+
     // Add a field to indicate whether we count as patient or not.
-    transformedRow.confirmedPatient = (transformedRow.patientId != -1)
+    transformedRow.confirmedPatient = PatientIdentity.hasPatientId(transformedRow)
 
     // If the patient is deceased, but we don't know the date they died, use the dateAnnounced for now.
     if (transformedRow.patientStatus == 'Deceased') {
@@ -114,10 +105,16 @@ const postProcessData = (rawData) => {
 }
 
 
-async function fetchPatientData(sheetName) {
-  return FetchSheet.fetchRows(sheetName)
+// @param tab Object, a tab with role 'patients' from TabConfig.
+async function fetchPatientData(tab) {
+  return TabConfig.fetchRowsWithSchema(tab)
     .then(data => {
-      return postProcessData(data)
+      return _.map(postProcessData(data, TabConfig.columnMapping(tab)), patient => {
+        const numbering = PatientIdentity.sheetNumbering(patient.patientId, tab.idNamespace)
+        patient.identity = PatientIdentity.patientIdentity(patient, tab.name, numbering)
+        patient.patientId = PatientIdentity.canonicalPatientId(patient.identity)
+        return patient
+      })
     })
 }
 
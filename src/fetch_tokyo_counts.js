@@ -1,9 +1,10 @@
 const _ = require('lodash')
-const FetchSheet = require('./fetch_sheet.js')
+const TabConfig = require('./tab_config.js')
+const Dates = require('./dates.js')
 
 const createTokyoDataset = async (prefectureRows) => {
   return _.map(prefectureRows, v => { 
-    let dateValues = _.filter(_.toPairs(v), filterV => { return filterV[0].startsWith('2020') })
+    let dateValues = _.filter(_.toPairs(v), filterV => { return Dates.isISODate(filterV[0]) })
     dateValues = _.sortBy(dateValues, _.first)
     dateValues = _.map(dateValues, v => { 
       return { 
@@ -21,19 +22,8 @@ const createTokyoDataset = async (prefectureRows) => {
   )
 }
 
-const shortDateFormat = /^([0-9]+)\/([0-9]+)$/
-const headerOrDateNormalizer = v => {
-  let dateMatch = v.match(shortDateFormat)
-  if (dateMatch) {
-    let month = dateMatch[1].padStart(2, '0')
-    let day = dateMatch[2].padStart(2, '0')
-    return `2020-${month}-${day}`
-  }
-  return _.camelCase(v)
-}
-
 const fetchTokyoCounts = async () => {
-  return FetchSheet.fetchRows('Tokyo Counts', headerOrDateNormalizer)
+  return TabConfig.fetchRows(TabConfig.tabWithRole('cityCounts'))
     .then(data => {
       return createTokyoDataset(data)
     })
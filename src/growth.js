@@ -0,0 +1,163 @@
+// Growth metrics of a series of daily counts: the week over week ratio, the
+// exponential growth rate and the doubling (or halving) time, with 95%
+// confidence intervals.
+//
+// The growth rate is the slope of a log-linear (quasi-)Poisson regression of the
+// counts over the last GROWTH_WINDOW_DAYS days, so days without any cases don't
+// need special treatment. Its confidence interval is scaled up when the counts
+// vary more than a Poisson distribution would (overdispersion), as they usually do
+// because of weekly reporting patterns.
+const _ = require('lodash')
+
+const WEEK_DAYS = 7
+const GROWTH_WINDOW_DAYS = 14
+
+// Metrics are only computed when the window has at least this many cases.
+const MIN_WINDOW_CASES = 10
+
+// Most recent days left out, as their counts are still coming in (like
+// incompleteDays in src/config/rt.json).
+const INCOMPLETE_DAYS = 1
+
+// Quantile of the normal distribution for a 95% confidence interval.
+const Z_95 = 1.959964
+
+const MAX_ITERATIONS = 50
+const CONVERGENCE = 1e-10
+
+const roundInterval = (interval, precision) => {
+  return _.mapValues(interval, v => (v === null) ? null : _.round(v, precision))
+}
+
+// Days to 0.1 day, or to 2 significant digits under a day, so that a short time
+// (from a wide interval) doesn't round to 0.
+const roundDays = (interval) => {
+  return _.mapValues(interval, v => {
+    if (v === null) {
+      return null
+    }
+    return (v >= 1) ? _.round(v, 1) : Number(v.toPrecision(2))
+  })
+}
+
+// Ratio of the cases in the last 7 days to the 7 days before, with a confidence
+// interval from the normal approximation of its log.
+//
+// @param counts Array of daily counts, the last entry being the latest day.
+// @returns { ratio, lower, upper }, or null if either week has no cases (or a
+//   negative total, where a count was revised down).
+const weekOverWeek = (counts) => {
+  if (counts.length < 2 * WEEK_DAYS) {
+    return null
+  }
+  const thisWeek = _.sum(_.takeRight(counts, WEEK_DAYS))
+  const lastWeek = _.sum(_.take(_.takeRight(counts, 2 * WEEK_DAYS), WEEK_DAYS))
+  if (thisWeek <= 0 || lastWeek <= 0) {
+    return null
+  }
+  const logRatio = Math.log(thisWeek / lastWeek)
+  const se = Math.sqrt(1 / thisWeek + 1 / lastWeek)
+  return roundInterval({
+    ratio: thisWeek / lastWeek,
+    lower: Math.exp(logRatio - Z_95 * se),
+    upper: Math.exp(logRatio + Z_95 * se),
+  }, 3)
+}
+
+// Fits log(E[count on day t]) = a + rate * t by iteratively reweighted least squares.
+//
+// @returns { rate, se }, se already scaled for overdispersion.
+const fitLogLinear = (counts) => {
+  const n = counts.length
+  const meanT = (n - 1) / 2
+  const ts = _.map(_.range(n), t => t - meanT)
+  let intercept = Math.log(_.mean(counts) + 0.5)
+  let rate = 0
+  let information = null
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    // Weighted least squares of the working response z on t, with weights mu.
+    let sw = 0, swt = 0, swtt = 0, swz = 0, swtz = 0
+    for (let i = 0; i < n; i++) {
+      const eta = intercept + rate * ts[i]
+      const mu = Math.exp(eta)
+      const z = eta + (counts[i] - mu) / mu
+      sw += mu
+      swt += mu * ts[i]
+      swtt += mu * ts[i] * ts[i]
+      swz += mu * z
+      swtz += mu * ts[i] * z
+    }
+    const determinant = sw * swtt - swt * swt
+    const nextIntercept = (swtt * swz - swt * swtz) / determinant
+    const nextRate = (sw * swtz - swt * swz) / determinant
+    information = { sw: sw, swt: swt, swtt: swtt, determinant: determinant }
+    const change = Math.abs(nextRate - rate) + Math.abs(nextIntercept - intercept)
+    intercept = nextIntercept
+    rate = nextRate
+    if (change < CONVERGENCE) {
+      break
+    }
+  }
+
+  // Pearson estimate of the dispersion, at least 1 (Poisson).
+  let pearson = 0
+  for (let i = 0; i < n; i++) {
+    const mu = Math.exp(intercept + rate * ts[i])
+    pearson += Math.pow(counts[i] - mu, 2) / mu
+  }
+  const dispersion = Math.max(1, pearson / (n - 2))
+  const variance = dispersion * information.sw / information.determinant
+  return { rate: rate, se: Math.sqrt(variance) }
+}
+
+// Doubling (rate > 0) or halving (rate < 0) time in days of a growth rate and its
+// interval. A bound is null if the interval reaches the other side of 0, where the
+// time is unbounded.
+const characteristicTime = (rate, lower, upper) => {
+  const time = r => Math.log(2) / Math.abs(r)
+  if (rate > 0) {
+    return { days: time(rate), lower: time(upper), upper: (lower > 0) ? time(lower) : null }
+  }
+  return { days: time(rate), lower: time(lower), upper: (upper < 0) ? time(upper) : null }
+}
+
+// Computes the growth metrics of the latest days of a series.
+//
+// @param counts Array of daily counts, the last entry being the latest day.
+// @returns {
+//   weekOverWeek: { ratio, lower, upper } or null,
+//   growthRate: { rate, lower, upper }, per day,
+//   doublingTime: { days, lower, upper } if the rate is above 0,
+//   halvingTime: { days, lower, upper } if the rate is below 0,
+// } or null if there are too few days or cases, or a negative count (which a
+//   Poisson regression can't fit).
+const growthMetrics = (counts) => {
+  const window = _.takeRight(counts, GROWTH_WINDOW_DAYS)
+  if (window.length < GROWTH_WINDOW_DAYS || _.sum(window) < MIN_WINDOW_CASES || _.min(window) < 0) {
+    return null
+  }
+  const fit = fitLogLinear(window)
+  if (!_.isFinite(fit.rate) || !_.isFinite(fit.se)) {
+    return null
+  }
+  const lower = fit.rate - Z_95 * fit.se
+  const upper = fit.rate + Z_95 * fit.se
+
+  let metrics = {
+    weekOverWeek: weekOverWeek(counts),
+    growthRate: roundInterval({ rate: fit.rate, lower: lower, upper: upper }, 4),
+  }
+  // A rate that rounds to 0 neither doubles nor halves.
+  if (metrics.growthRate.rate > 0) {
+    metrics.doublingTime = roundDays(characteristicTime(fit.rate, lower, upper))
+  } else if (metrics.growthRate.rate < 0) {
+    metrics.halvingTime = roundDays(characteristicTime(fit.rate, lower, upper))
+  }
+  return metrics
+}
+
+exports.GROWTH_WINDOW_DAYS = GROWTH_WINDOW_DAYS
+exports.INCOMPLETE_DAYS = INCOMPLETE_DAYS
+exports.weekOverWeek = weekOverWeek
+exports.growthMetrics = growthMetrics
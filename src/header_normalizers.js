@@ -0,0 +1,36 @@
+// Header normalizers turn the header cells of a tab into the keys of each row
+// object. Tabs refer to them by name in src/config/tabs.json.
+const _ = require('lodash')
+const Dates = require('./dates.js')
+
+const shortDateFormat = /^([0-9]+)\/([0-9]+)$/
+
+// Converts "Patient Number" -> "patientNumber".
+const camelCase = v => {
+  return _.camelCase(v)
+}
+
+// Date headers parsed per header row, so the row is only parsed once.
+const parsedHeaderDates = new WeakMap()
+
+// Converts date headers "M/D" -> "YYYY-MM-DD", and everything else to camelCase.
+//
+// The year of each date comes from the order of the date headers (see
+// Dates.parseDateSequence), so this uses the full header row that _.map passes
+// as the third argument.
+const headerOrDate = (v, index, headers) => {
+  if (!shortDateFormat.test(v)) {
+    return _.camelCase(v)
+  }
+  if (!headers) {
+    return Dates.parseDate(v)
+  }
+  if (!parsedHeaderDates.has(headers)) {
+    const dateHeaders = _.map(headers, h => { return shortDateFormat.test(h) ? h : null })
+    parsedHeaderDates.set(headers, Dates.parseDateSequence(dateHeaders))
+  }
+  return parsedHeaderDates.get(headers)[index]
+}
+
+exports.camelCase = camelCase
+exports.headerOrDate = headerOrDate
@@ -1,21 +1,124 @@
 const _ = require('lodash')
-const Verify = require('./verify.js')
+const PatientIdentity = require('./patient_identity.js')
 
-const mergePatients = (patientLists) => {
+// Fields that are derived from another field, and are taken from the same tab as it.
+const DERIVED_FIELDS = {
+  'ageRange': 'ageBracket',
+  'confirmedPatient': 'patientId',
+}
+
+// Fields that are rebuilt for the merged patient rather than merged.
+const REBUILT_FIELDS = ['identity', 'provenance']
+
+// @returns Names of the tabs in the order they take precedence for field.
+const tabPrecedence = (precedence, field, tabNames) => {
+  const order = precedence.fields[field] || precedence.default
+  const listed = _.without(order, '*')
+  const unlisted = _.difference(tabNames, listed)
+  let ordered = _.flatMap(order, v => { return (v == '*') ? unlisted : [v] })
+  // Tabs that aren't listed and without a '*' come last.
+  return _.uniq(_.concat(ordered, unlisted))
+}
+
+// Merges the rows of the same patient from different tabs, field by field.
+//
+// Each field is taken from the tab with the highest precedence that has a value
+// for it, and within a tab from its first row. Where rows have different values
+// for a field, it is reported as a conflict. A tab with more than one row for the
+// patient is reported as a conflict on patientId, with a value for each row.
+//
+// @param records Array of { tab, patient }, in sheet order within each tab.
+// @returns { patient, conflicts: [{ patientId, field, chosen: { tab, value }, values: [{ tab, value }] }] }
+const mergeRecords = (records, precedence, tabNames) => {
+  const patientId = records[0].patient.patientId
+  const recordsByTab = _.groupBy(records, 'tab')
+  const orderedRecords = (field) => {
+    return _.flatMap(tabPrecedence(precedence, field, tabNames), tab => recordsByTab[tab] || [])
+  }
+
+  const fields = _.difference(
+    _.union(..._.map(orderedRecords(null), record => _.keys(record.patient))),
+    _.concat(_.keys(DERIVED_FIELDS), REBUILT_FIELDS))
+
+  let patient = {}
+  let provenance = {}
+  // The record each field was taken from.
+  let sources = {}
+  let conflicts = []
+  for (let field of fields) {
+    const sourceRecords = _.filter(orderedRecords(field), record => {
+      return typeof record.patient[field] !== 'undefined'
+    })
+    const candidates = _.map(sourceRecords, record => { return { tab: record.tab, value: record.patient[field] } })
+
+    const chosen = _.first(candidates)
+    patient[field] = chosen.value
+    provenance[field] = chosen.tab
+    sources[field] = _.first(sourceRecords)
+    if (_.uniqWith(_.map(candidates, 'value'), _.isEqual).length > 1) {
+      conflicts.push({ patientId: patientId, field: field, chosen: chosen, values: candidates })
+    }
+  }
+
+  for (let field of _.keys(DERIVED_FIELDS)) {
+    const source = sources[DERIVED_FIELDS[field]]
+    if (source && typeof source.patient[field] !== 'undefined') {
+      patient[field] = source.patient[field]
+    }
+  }
+
+  _.forEach(recordsByTab, (tabRecords, tab) => {
+    if (tabRecords.length > 1) {
+      const values = _.map(tabRecords, record => { return { tab: tab, value: record.patient.patientId } })
+      conflicts.push({ patientId: patientId, field: 'patientId', chosen: _.first(values), values: values })
+    }
+  })
+
+  // The sheet patient number is the one of the row the patientId was taken from.
+  const numbering = _.pick(sources.patientId.patient.identity, ['sheetPatientNumber', 'idNamespace'])
+  patient.identity = PatientIdentity.patientIdentity(patient, provenance.patientId, numbering)
+  patient.provenance = provenance
+  return { patient: patient, conflicts: conflicts }
+}
+
+// Merges the patient lists from each patient tab.
+//
+// Patients with the same patientId in more than one tab are merged into one,
+// with each field taken from the tab that has precedence for it. Patients without
+// a patientId are never merged.
+//
+// @param patientLists Array of patient lists, one for each tab.
+// @param tabNames Array of the names of the tabs, in the same order.
+// @param precedence Object, see TabConfig.mergePrecedence
+// @returns {
+//   patients: Merged patients, each with provenance: { field: tab name }
+//   conflicts: Fields that had different values in different tabs, and patientIds used
+//     by more than one row of a tab.
+// }
+const mergePatients = (patientLists, tabNames, precedence) => {
   //const sortOrder = ['patientId', 'dateAnnounced']
   const sortOrder = ['dateAnnounced', 'patientId']
 
-  Verify.verifyPatientLists(patientLists)
-  
-  for (let patients of patientLists) {
-    Verify.verifyPatients(patients)
+  let records = _.flatten(_.map(patientLists, (patients, index) => {
+    return _.map(patients, patient => { return { tab: tabNames[index], patient: patient } })
+  }))
+
+  let recordsWithoutIds = _.filter(records, v => { return !PatientIdentity.hasPatientId(v.patient) })
+  let recordsById = _.groupBy(_.filter(records, v => { return PatientIdentity.hasPatientId(v.patient) }), v => v.patient.patientId)
+
+  let conflicts = []
+  const merge = (patientRecords) => {
+    const merged = mergeRecords(patientRecords, precedence, tabNames)
+    conflicts = _.concat(conflicts, merged.conflicts)
+    return merged.patient
   }
 
-  let merged = _.flatten(patientLists)
-  let patientsWithoutIds = _.sortBy(_.filter(merged, v => { return (v.patientId == -1)}), ['dateAnnounced'])
-  let patientsWithIds = _.uniqBy(_.sortBy(_.filter(merged, v => { return (v.patientId != -1)}), sortOrder), 'patientId')
-  //  let patientsWithIds = _.sortBy(_.filter(merged, v => { return (v.patientId != -1)}), sortOrder)
-  return _.flatten([patientsWithIds, patientsWithoutIds])
+  let patientsWithoutIds = _.sortBy(_.map(recordsWithoutIds, record => merge([record])), ['dateAnnounced'])
+  let patientsWithIds = _.sortBy(_.map(_.values(recordsById), merge), sortOrder)
+  return {
+    patients: _.flatten([patientsWithIds, patientsWithoutIds]),
+    conflicts: _.sortBy(conflicts, ['patientId', 'field']),
+  }
 }
 
 exports.mergePatients = mergePatients
@@ -0,0 +1,178 @@
+// Patient history from the daily patient_data snapshots.
+//
+// docs/patient_data/YYYY-MM-DD.json is the full patient list as it was on that
+// day. Diffing consecutive snapshots tells us when each patient first appeared,
+// when their status changed and when any other field was corrected. Changes
+// are dated with the snapshot they were first seen in, which can be a day or
+// more after the change happened.
+//
+// The history can be carried forward: given the history as of a snapshot, only
+// the snapshots after it are read and folded in, which gives the same result as
+// reading every snapshot again.
+//
+// Patients without a patientId can't be told apart between snapshots and
+// are not included.
+const fs = require('fs')
+const path = require('path')
+const _ = require('lodash')
+
+const Dates = require('./dates.js')
+const PatientIdentity = require('./patient_identity.js')
+
+// Fields derived from others, or added to every patient by a newer version of
+// the pipeline; changes to them are not corrections.
+const DERIVED_FIELDS = ['patientId', 'patientStatus', 'confirmedPatient', 'identity', 'ageRange']
+
+// @returns [{ date, filename }] for every dated snapshot in dirname, oldest first.
+const snapshotFiles = (dirname) => {
+  let filenames = _.filter(fs.readdirSync(dirname), v => {
+    return path.extname(v) == '.json' && Dates.isISODate(path.basename(v, '.json'))
+  })
+  return _.map(_.sortBy(filenames), v => {
+    return { date: path.basename(v, '.json'), filename: path.join(dirname, v) }
+  })
+}
+
+// Snapshots from before patientIds were namespaced have the plain sheet number
+// (123 for JPN123), and older ones numeric ids. Namespaced ids are kept as they are.
+const namespacedId = (patientId) => {
+  return String(PatientIdentity.canonicalPatientId(PatientIdentity.sheetNumbering(patientId)))
+}
+
+// Patients with a patientId, by patientId. Older snapshots have numeric ids, and -1 for none.
+const patientsById = (patients) => {
+  let identified = _.filter(patients, v => { return PatientIdentity.hasPatientId(v) })
+  return _.keyBy(identified, v => { return namespacedId(v.patientId) })
+}
+
+// Every field used by at least one patient in the snapshot.
+const snapshotFields = (patients) => {
+  let fields = {}
+  for (let patient of patients) {
+    for (let field of _.keys(patient)) {
+      fields[field] = true
+    }
+  }
+  return fields
+}
+
+const newHistory = (patientId, patient, date) => {
+  return {
+    patientId: patientId,
+    firstSeen: date,
+    lastSeen: date,
+    statusHistory: [{ date: date, patientStatus: patient.patientStatus }],
+    corrections: [],
+  }
+}
+
+// Records the changes to a patient between two snapshots.
+//
+// A field that no patient had in the previous snapshot was added to the sheet
+// or the pipeline, so it isn't counted as a correction.
+const diffPatient = (history, previous, current, date, previousFields) => {
+  if (_.last(history.statusHistory).patientStatus != current.patientStatus) {
+    history.statusHistory.push({ date: date, patientStatus: current.patientStatus })
+  }
+
+  let fields = _.union(_.keys(previous), _.keys(current))
+  for (let field of _.sortBy(fields)) {
+    if (DERIVED_FIELDS.indexOf(field) != -1 || !previousFields[field]) {
+      continue
+    }
+    if (!_.isEqual(previous[field], current[field])) {
+      history.corrections.push({ date: date, field: field, from: previous[field], to: current[field] })
+    }
+  }
+}
+
+const readSnapshot = (snapshot) => {
+  return snapshot.patients || JSON.parse(fs.readFileSync(snapshot.filename))
+}
+
+// Builds the history of every patient from a list of snapshots.
+//
+// @param snapshots Array of { date, patients }, oldest first, or of { date, filename }
+//   to read the snapshots one at a time.
+// @param previous Optional { date, history }, the output of patientHistory for the
+//   snapshots up to and including date. Only the snapshots after date are read,
+//   along with the one of date and, for removed patients that reappear, the one
+//   they were last seen in. date has to be one of the snapshots.
+// @returns Array of {
+//   patientId,
+//   firstSeen: Date of the first snapshot with the patient,
+//   lastSeen: Date of the last snapshot with the patient,
+//   removed: true if the patient is not in the last snapshot (omitted otherwise),
+//   statusHistory: [{ date, patientStatus }], starting with the status when first seen,
+//   corrections: [{ date, field, from, to }] (from/to are omitted if the field was empty)
+// }
+const patientHistory = (snapshots, previous) => {
+  // Patient ids in the order they were first seen, as object keys that look
+  // like numbers would be sorted numerically.
+  let patientIds = []
+  let histories = {}
+  // The patient as it was in the last snapshot that had it.
+  let lastKnownPatients = {}
+  let previousFields = {}
+  let lastDate = null
+
+  const snapshotsByDate = _.keyBy(snapshots, 'date')
+  if (previous) {
+    if (!snapshotsByDate[previous.date]) {
+      throw new Error(`PatientHistoryError: No snapshot for ${previous.date} to continue the history from`)
+    }
+    const patients = readSnapshot(snapshotsByDate[previous.date])
+    for (let history of previous.history) {
+      const patientId = namespacedId(history.patientId)
+      patientIds.push(patientId)
+      histories[patientId] = _.assign(_.omit(_.cloneDeep(history), 'removed'), { patientId: patientId })
+    }
+    lastKnownPatients = patientsById(patients)
+    previousFields = snapshotFields(patients)
+    lastDate = previous.date
+    snapshots = _.filter(snapshots, snapshot => snapshot.date > previous.date)
+  }
+
+  for (let snapshot of snapshots) {
+    let patients = readSnapshot(snapshot)
+    let currentPatients = patientsById(patients)
+
+    for (let current of patients) {
+      // Skips patients without a patientId, and all but one of a duplicated patientId.
+      let patientId = namespacedId(current.patientId)
+      if (currentPatients[patientId] !== current) {
+        continue
+      }
+      if (!histories[patientId]) {
+        patientIds.push(patientId)
+        histories[patientId] = newHistory(patientId, current, snapshot.date)
+      } else {
+        if (!lastKnownPatients[patientId]) {
+          // Removed before the previous history and back again.
+          const lastSeen = histories[patientId].lastSeen
+          if (!snapshotsByDate[lastSeen]) {
+            throw new Error(`PatientHistoryError: No snapshot for ${lastSeen}, when ${patientId} was last seen`)
+          }
+          lastKnownPatients[patientId] = patientsById(readSnapshot(snapshotsByDate[lastSeen]))[patientId]
+        }
+        diffPatient(histories[patientId], lastKnownPatients[patientId], current, snapshot.date, previousFields)
+      }
+      histories[patientId].lastSeen = snapshot.date
+      lastKnownPatients[patientId] = current
+    }
+
+    previousFields = snapshotFields(patients)
+    lastDate = snapshot.date
+  }
+
+  return _.map(patientIds, patientId => {
+    let history = histories[patientId]
+    if (history.lastSeen != lastDate) {
+      history.removed = true
+    }
+    return history
+  })
+}
+
+exports.snapshotFiles = snapshotFiles
+exports.patientHistory = patientHistory
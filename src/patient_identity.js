@@ -0,0 +1,181 @@
+// Patient identity model.
+//
+// A patient can be referred to by several numbers: the patient number in our
+// sheet (e.g. 123 in 'Patient Data' or TOK123 in the Tokyo tab), the
+// prefecture's number (Kanagawa#7), a city's number (KumamotoCity#4) and the
+// number originally given by MHLW. These live in different namespaces, so we
+// keep them as separate fields and resolve each of them to the patientId with an
+// alias table.
+//
+// patientId is the sheet patient number in its namespace (see canonicalPatientId):
+// a number with a prefix (TOK123) is in the namespace of the prefix and keeps it,
+// a plain number gets the namespace of its tab (idNamespace in tabs.json). Patient
+// Data and the prefecture tabs that continue its numbering share SHARED_NAMESPACE,
+// so 123 becomes JPN123. The same patientId in two tabs is taken to be the same
+// patient and merged (see merge_patients.js). The sheet patient number is kept in
+// identity and is an alias of the patientId.
+//
+// Rows without a patient number get MISSING_PATIENT_ID (-1), use hasPatientId()
+// to check for it.
+const _ = require('lodash')
+
+const NUMBERED_NAME_PATTERN = /([A-Za-z][A-Za-z\- ]*?)\s*#\s*([0-9]+(?:[.\-][0-9]+)?)/g
+const NUMBER_PATTERN = /[0-9]+/g
+
+const MISSING_PATIENT_ID = -1
+
+// @returns false if the patient has no patientId (-1, or none at all).
+const hasPatientId = (patient) => {
+  const patientId = patient.patientId
+  return patientId !== null && typeof patientId !== 'undefined' && patientId !== -1 && patientId !== '-1'
+}
+
+// Namespace for MHLW numbers in the alias table, e.g. MHLW#60.
+const MHLW_NAMESPACE = 'MHLW'
+
+// Namespace of the plain patient numbers in tabs without an idNamespace.
+const SHARED_NAMESPACE = 'JPN'
+
+const PLAIN_NUMBER_PATTERN = /^[0-9]+$/
+const NAMESPACE_PATTERN = /^[A-Za-z]+/
+
+// The sheet patient number of a row and the namespace it is in.
+//
+// @param sheetPatientNumber String, the patientId as read from the sheet.
+// @param tabNamespace String, idNamespace of the tab. Default SHARED_NAMESPACE.
+// @returns { sheetPatientNumber, idNamespace }, or {} if the row has no patient number.
+const sheetNumbering = (sheetPatientNumber, tabNamespace) => {
+  if (!hasPatientId({ patientId: sheetPatientNumber })) {
+    return {}
+  }
+  const number = String(sheetPatientNumber).trim()
+  const prefix = number.match(NAMESPACE_PATTERN)
+  return {
+    sheetPatientNumber: number,
+    idNamespace: prefix ? prefix[0] : (tabNamespace || SHARED_NAMESPACE),
+  }
+}
+
+// The patientId of a patient from its identity: the sheet patient number with
+// the namespace in front if it is a plain number (123 in Patient Data is JPN123,
+// TOK123 stays TOK123).
+//
+// @returns patientId, or MISSING_PATIENT_ID if the row has no patient number.
+const canonicalPatientId = (identity) => {
+  const number = identity.sheetPatientNumber
+  if (!number) {
+    return MISSING_PATIENT_ID
+  }
+  return PLAIN_NUMBER_PATTERN.test(number) ? `${identity.idNamespace}${number}` : number
+}
+
+// Parses "Kanagawa#7" (or "Kanagawa #7, Kanagawa#8") into [{ name, number }].
+const parseNumberedNames = (v) => {
+  if (!v) {
+    return []
+  }
+  return _.map(Array.from(String(v).matchAll(NUMBERED_NAME_PATTERN)), match => {
+    return { name: match[1].trim(), number: match[2] }
+  })
+}
+
+const parseNumbers = (v) => {
+  if (!v) {
+    return []
+  }
+  return String(v).match(NUMBER_PATTERN) || []
+}
+
+// Creates the identity of a patient from its row in a patient tab.
+//
+// @param patient Object, output of FetchPatientData.postProcessData
+// @param sourceTab String, name of the tab the patient was read from.
+// @param numbering Object, output of sheetNumbering for the row.
+// @returns {
+//   sourceTab, sheetPatientNumber, idNamespace, prefecture, prefectureNumber,
+//   city, cityNumber, mhlwNumber
+// } (fields we don't know are omitted)
+const patientIdentity = (patient, sourceTab, numbering) => {
+  const prefectureNumber = _.first(parseNumberedNames(patient.prefecturePatientNumber))
+  const cityNumber = _.first(parseNumberedNames(patient.cityPrefectureNumber))
+  const mhlwNumber = _.first(parseNumbers(patient.mhlwPatientNumber))
+
+  let identity = {
+    sourceTab: sourceTab,
+    sheetPatientNumber: numbering ? numbering.sheetPatientNumber : undefined,
+    idNamespace: numbering ? numbering.idNamespace : undefined,
+    prefecture: prefectureNumber ? prefectureNumber.name : undefined,
+    prefectureNumber: prefectureNumber ? prefectureNumber.number : undefined,
+    city: cityNumber ? cityNumber.name : undefined,
+    cityNumber: cityNumber ? cityNumber.number : undefined,
+    mhlwNumber: mhlwNumber,
+  }
+  return _.omitBy(identity, _.isUndefined)
+}
+
+// @returns All the names a patient can be referred to by, e.g. ['JPN12', '12', 'Osaka#3', 'MHLW#60']
+const patientAliases = (patient) => {
+  let aliases = [String(patient.patientId)]
+  if (patient.identity && patient.identity.sheetPatientNumber) {
+    aliases.push(patient.identity.sheetPatientNumber)
+  }
+  for (let numbered of parseNumberedNames(patient.prefecturePatientNumber)) {
+    aliases.push(`${numbered.name}#${numbered.number}`)
+  }
+  for (let numbered of parseNumberedNames(patient.cityPrefectureNumber)) {
+    aliases.push(`${numbered.name}#${numbered.number}`)
+  }
+  for (let number of parseNumbers(patient.mhlwPatientNumber)) {
+    aliases.push(`${MHLW_NAMESPACE}#${number}`)
+  }
+  return _.uniq(aliases)
+}
+
+// Builds the table from every alias to the patientId it refers to. Only patients
+// with a patientId are included. An alias that refers to more than one patient is
+// left out of the table and reported as a collision.
+//
+// @returns { aliases: { alias: patientId }, collisions: { alias: [patientId, ...] } }
+const buildAliasTable = (patients) => {
+  let patientIdsByAlias = {}
+  for (let patient of patients) {
+    if (!hasPatientId(patient)) {
+      continue
+    }
+    for (let alias of patientAliases(patient)) {
+      if (!patientIdsByAlias[alias]) {
+        patientIdsByAlias[alias] = []
+      }
+      patientIdsByAlias[alias].push(String(patient.patientId))
+    }
+  }
+
+  patientIdsByAlias = _.mapValues(patientIdsByAlias, _.uniq)
+  return {
+    aliases: _.mapValues(_.pickBy(patientIdsByAlias, ids => ids.length == 1), _.first),
+    collisions: _.pickBy(patientIdsByAlias, ids => ids.length > 1),
+  }
+}
+
+// Resolves an alias (TOK12, 123, Tokyo#12, MHLW#60 ...) to a patientId.
+//
+// @returns patientId or undefined.
+const resolveAlias = (aliasTable, alias) => {
+  if (!alias) {
+    return undefined
+  }
+  const normalized = String(alias).trim().replace(/\s*#\s*/, '#')
+  return aliasTable.aliases[normalized]
+}
+
+exports.MISSING_PATIENT_ID = MISSING_PATIENT_ID
+exports.hasPatientId = hasPatientId
+exports.MHLW_NAMESPACE = MHLW_NAMESPACE
+exports.SHARED_NAMESPACE = SHARED_NAMESPACE
+exports.sheetNumbering = sheetNumbering
+exports.canonicalPatientId = canonicalPatientId
+exports.parseNumberedNames = parseNumberedNames
+exports.patientIdentity = patientIdentity
+exports.patientAliases = patientAliases
+exports.buildAliasTable = buildAliasTable
+exports.resolveAlias = resolveAlias
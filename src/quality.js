@@ -0,0 +1,71 @@
+// Completeness of the patient data, per prefecture and per ISO week.
+//
+// For each group of patients we report the share (0 - 1) that have a known age,
+// gender, city, status and source URL, and the share of rows without a patientId.
+// It shows which prefectures (and since when) we have poor demographic data for.
+const _ = require('lodash')
+
+const Dates = require('./dates.js')
+const PatientIdentity = require('./patient_identity.js')
+
+// Each measure is the share of patients for which the test is true.
+const MEASURES = {
+  knownAge: patient => {
+    if (patient.ageRange) {
+      return patient.ageRange.precision != 'unknown'
+    }
+    return patient.ageBracket >= 0
+  },
+  knownGender: patient => patient.gender == 'M' || patient.gender == 'F',
+  knownCity: patient => !!patient.detectedCityTown,
+  knownStatus: patient => !!patient.patientStatus && patient.patientStatus != 'Unspecified',
+  knownSourceURL: patient => !!(patient.sourceURL || patient.prefectureSourceURL),
+  withoutId: patient => !PatientIdentity.hasPatientId(patient),
+}
+
+const SHARE_PRECISION = 3
+
+// @returns { patients, knownAge, knownGender, ... } for a group of patients.
+const measure = (patients) => {
+  const shares = _.mapValues(MEASURES, test => {
+    if (patients.length == 0) {
+      return 0
+    }
+    return _.round(_.filter(patients, test).length / patients.length, SHARE_PRECISION)
+  })
+  return _.assign({ patients: patients.length }, shares)
+}
+
+// @returns [{ week, startDate, patients, knownAge, ... }], oldest first. Patients
+//   without a valid dateAnnounced are only counted in the overall shares.
+const measureWeeks = (patients) => {
+  const dated = _.filter(patients, patient => Dates.isISODate(patient.dateAnnounced))
+  const byWeek = _.groupBy(dated, patient => Dates.isoWeek(patient.dateAnnounced).week)
+  return _.sortBy(_.map(byWeek, (weekPatients, week) => {
+    const startDate = Dates.isoWeek(weekPatients[0].dateAnnounced).startDate
+    return _.assign({ week: week, startDate: startDate }, measure(weekPatients))
+  }), 'week')
+}
+
+// Computes the quality report.
+//
+// @param patients Array, merged patients (see merge_patients.js), including the
+//   ones without a patientId.
+// @returns {
+//   total: { patients, knownAge, ... } for all of Japan,
+//   prefectures: [{ name, patients, knownAge, ..., weeks: [{ week, startDate, patients, knownAge, ... }] }],
+//     sorted by number of patients.
+// }
+const patientDataQuality = (patients) => {
+  const byPrefecture = _.groupBy(patients, 'detectedPrefecture')
+  const prefectures = _.map(byPrefecture, (prefecturePatients, name) => {
+    return _.assign({ name: name }, measure(prefecturePatients), { weeks: measureWeeks(prefecturePatients) })
+  })
+  return {
+    total: measure(patients),
+    prefectures: _.orderBy(prefectures, ['patients', 'name'], ['desc', 'asc']),
+  }
+}
+
+exports.MEASURES = _.keys(MEASURES)
+exports.patientDataQuality = patientDataQuality
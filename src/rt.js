@@ -0,0 +1,229 @@
+// Estimates the time-varying effective reproduction number (Rt) from the daily
+// confirmed counts, using the method of Cori et al. (2013), "A New Framework and
+// Software to Estimate Time-Varying Reproduction Numbers During Epidemics".
+//
+// Rt over a window of days ending on day t has a gamma posterior:
+//
+//   shape = a + sum of I[s]          (cases in the window)
+//   scale = 1 / (1 / b + sum of L[s]) (infectiousness in the window)
+//   L[s]  = sum over k >= 1 of I[s - k] * w[k]
+//
+// where I are the daily cases (by date announced), w the serial interval
+// distribution and a, b the shape and scale of the gamma prior. All cases are
+// treated as local, so imported cases (e.g. Port Quarantine) push Rt up.
+//
+// The parameters are in src/config/rt.json:
+//
+//   {
+//     "serialInterval": { "distribution": "gamma", "mean": days, "sd": days, "maxDays": days }
+//                    or { "distribution": "discrete", "weights": [w1, w2, ...] } (w[k] for k = 1, 2, ...),
+//     "windowDays": Length of the window,
+//     "prior": { "mean", "sd" } of the gamma prior of Rt,
+//     "credibleInterval": Width of the interval (e.g. 0.95 for 2.5% - 97.5%),
+//     "minWindowCases": Rt is only estimated for windows with at least this many cases,
+//     "minTotalCases": Prefectures with fewer confirmed cases are not estimated,
+//     "incompleteDays": Most recent days left out, as their counts are still coming in,
+//     "excludedPrefectures": Prefectures to never estimate
+//   }
+const fs = require('fs')
+const path = require('path')
+const moment = require('moment')
+const _ = require('lodash')
+
+const Stats = require('./stats.js')
+const Dates = require('./dates.js')
+
+const DEFAULT_CONFIG_FILENAME = path.join(__dirname, 'config', 'rt.json')
+
+const RT_PRECISION = 3
+
+let config = null
+
+const validateConfig = (loadedConfig, filename) => {
+  const serialInterval = loadedConfig.serialInterval || {}
+  if (serialInterval.distribution == 'gamma') {
+    if (!(serialInterval.mean > 0 && serialInterval.sd > 0 && serialInterval.maxDays >= 1)) {
+      throw new Error(`RtConfigError: gamma serialInterval needs a mean, sd and maxDays above 0 in ${filename}`)
+    }
+  } else if (serialInterval.distribution == 'discrete') {
+    if (!_.isArray(serialInterval.weights) || _.sum(serialInterval.weights) <= 0) {
+      throw new Error(`RtConfigError: discrete serialInterval needs weights in ${filename}`)
+    }
+  } else {
+    throw new Error(`RtConfigError: Unknown serialInterval distribution ${serialInterval.distribution} in ${filename}`)
+  }
+  if (!(loadedConfig.windowDays >= 1)) {
+    throw new Error(`RtConfigError: windowDays must be at least 1 in ${filename}`)
+  }
+  if (!(loadedConfig.prior && loadedConfig.prior.mean > 0 && loadedConfig.prior.sd > 0)) {
+    throw new Error(`RtConfigError: prior needs a mean and sd above 0 in ${filename}`)
+  }
+  if (!(loadedConfig.credibleInterval > 0 && loadedConfig.credibleInterval < 1)) {
+    throw new Error(`RtConfigError: credibleInterval must be between 0 and 1 in ${filename}`)
+  }
+}
+
+// Loads the Rt configuration, replacing any previously loaded one.
+//
+// @param filename String, default src/config/rt.json
+const loadConfig = (filename) => {
+  filename = filename || DEFAULT_CONFIG_FILENAME
+  const loadedConfig = _.defaults(JSON.parse(fs.readFileSync(filename, 'utf8')), {
+    minWindowCases: 0,
+    minTotalCases: 0,
+    incompleteDays: 0,
+    excludedPrefectures: [],
+  })
+  validateConfig(loadedConfig, filename)
+  config = loadedConfig
+  return config
+}
+
+const currentConfig = () => {
+  if (!config) {
+    loadConfig()
+  }
+  return config
+}
+
+// @returns Array, w[k] the probability of a serial interval of k days (w[0] = 0).
+const serialIntervalWeights = (serialInterval) => {
+  if (serialInterval.distribution == 'discrete') {
+    const total = _.sum(serialInterval.weights)
+    return _.concat([0], _.map(serialInterval.weights, w => w / total))
+  }
+  return Stats.discretizeGamma(serialInterval.mean, serialInterval.sd, serialInterval.maxDays)
+}
+
+// Estimates Rt over a series of daily cases.
+//
+// @param cases Array of Int, cases for consecutive days.
+// @param options Object, the configuration (see above).
+// @returns Array with an entry for each day, null if Rt can't be estimated
+//   for the window ending on it, or { rt, lower, upper, cases }.
+const estimateSeries = (cases, options) => {
+  const weights = serialIntervalWeights(options.serialInterval)
+  const priorShape = Math.pow(options.prior.mean / options.prior.sd, 2)
+  const priorScale = Math.pow(options.prior.sd, 2) / options.prior.mean
+  const tail = (1 - options.credibleInterval) / 2
+
+  // Total infectiousness of the earlier cases on each day.
+  const infectiousness = _.map(cases, (v, day) => {
+    let total = 0
+    for (let k = 1; k < weights.length && k <= day; k++) {
+      total += cases[day - k] * weights[k]
+    }
+    return total
+  })
+
+  return _.map(cases, (v, day) => {
+    if (day < options.windowDays) {
+      return null
+    }
+    const windowStart = day - options.windowDays + 1
+    const windowCases = _.sum(_.slice(cases, windowStart, day + 1))
+    const windowInfectiousness = _.sum(_.slice(infectiousness, windowStart, day + 1))
+    if (windowInfectiousness <= 0 || windowCases < Math.max(options.minWindowCases, 1)) {
+      return null
+    }
+    const shape = priorShape + windowCases
+    const scale = 1 / (1 / priorScale + windowInfectiousness)
+    return {
+      rt: _.round(shape * scale, RT_PRECISION),
+      lower: _.round(Stats.gammaQuantile(tail, shape, scale), RT_PRECISION),
+      upper: _.round(Stats.gammaQuantile(1 - tail, shape, scale), RT_PRECISION),
+      cases: windowCases,
+    }
+  })
+}
+
+// @param lastDate YYYY-MM-DD, the series is cut off after this day.
+// @returns [{ date, rt, lower, upper, cases }] for the days Rt could be estimated on.
+const datedEstimates = (cases, startDate, lastDate, options) => {
+  const start = moment.utc(startDate)
+  const days = moment.utc(lastDate).diff(start, 'days') + 1
+  const estimates = estimateSeries(_.take(cases, Math.max(days, 0)), options)
+  return _.compact(_.map(estimates, (estimate, day) => {
+    if (!estimate) {
+      return null
+    }
+    return _.assign({ date: moment.utc(start).add(day, 'days').format('YYYY-MM-DD') }, estimate)
+  }))
+}
+
+// The daily summary only has days with a confirmed case or death, fill in the rest.
+//
+// @returns { startDate, cases: [Int] } up to and including lastDate.
+const nationalSeries = (daily, lastDate) => {
+  const dated = _.filter(daily, day => Dates.isISODate(day.date))
+  if (dated.length == 0) {
+    return { startDate: null, cases: [] }
+  }
+  const confirmedByDate = _.fromPairs(_.map(dated, day => [day.date, day.confirmed]))
+  const startDate = _.first(dated).date
+  const days = Math.max(moment.utc(lastDate).diff(moment.utc(startDate), 'days') + 1, 0)
+  const cases = _.times(days, day => {
+    return confirmedByDate[moment.utc(startDate).add(day, 'days').format('YYYY-MM-DD')] || 0
+  })
+  return { startDate: startDate, cases: cases }
+}
+
+// Estimates Rt for Japan and each prefecture in a summary.
+//
+// @param summary Object, output of Summarize.summarize
+// @param asOf moment, the day the summary was generated on (its last day).
+// @param options Object, defaults to src/config/rt.json
+// @returns {
+//   method, serialInterval, windowDays, prior, credibleInterval: the parameters used,
+//   lastDate: the last day estimated (asOf less incompleteDays),
+//   national: { name: 'Japan', values: [{ date, rt, lower, upper, cases }] },
+//   prefectures: [{ name, values }],
+//   excluded: [{ name, reason }], prefectures that were not estimated.
+// }
+const estimateRt = (summary, asOf, options) => {
+  options = options || currentConfig()
+  const lastDate = moment(asOf).subtract(options.incompleteDays, 'days').format('YYYY-MM-DD')
+  const national = nationalSeries(summary.daily, lastDate)
+
+  let prefectures = []
+  let excluded = []
+  for (let prefecture of _.sortBy(summary.prefectures, 'name')) {
+    let reason = null
+    if (prefecture.pseudoPrefecture) {
+      reason = 'pseudoPrefecture'
+    } else if (options.excludedPrefectures.indexOf(prefecture.name) != -1) {
+      reason = 'excluded'
+    } else if (prefecture.confirmed < options.minTotalCases) {
+      reason = 'tooFewCases'
+    } else if (!prefecture.dailyConfirmedStartDate) {
+      reason = 'noDailyCounts'
+    }
+    if (reason) {
+      excluded.push({ name: prefecture.name, reason: reason })
+      continue
+    }
+    prefectures.push({
+      name: prefecture.name,
+      values: datedEstimates(prefecture.dailyConfirmedCount, prefecture.dailyConfirmedStartDate, lastDate, options),
+    })
+  }
+
+  return {
+    method: 'cori',
+    serialInterval: options.serialInterval,
+    windowDays: options.windowDays,
+    prior: options.prior,
+    credibleInterval: options.credibleInterval,
+    lastDate: lastDate,
+    national: {
+      name: 'Japan',
+      values: national.startDate ? datedEstimates(national.cases, national.startDate, lastDate, options) : [],
+    },
+    prefectures: prefectures,
+    excluded: excluded,
+  }
+}
+
+exports.loadConfig = loadConfig
+exports.estimateSeries = estimateSeries
+exports.estimateRt = estimateRt
@@ -0,0 +1,99 @@
+// JSON Schemas of the files we publish (docs/schemas/*.schema.json).
+//
+// Every published file has a schema so that consumers (and we) can check that a
+// snapshot has the shape documented in the README. generate.js validates its output
+// before writing anything, and validate.js checks any existing snapshot.
+const fs = require('fs')
+const path = require('path')
+const _ = require('lodash')
+const Ajv = require('ajv')
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'docs', 'schemas')
+
+// Name of the schema of each directory under docs/.
+const SCHEMA_FOR_DIR = {
+  patient_data: 'patient_data',
+  patient_aliases: 'patient_aliases',
+  patient_history: 'patient_history',
+  merge_conflicts: 'merge_conflicts',
+  duplicate_candidates: 'duplicate_candidates',
+  quality: 'quality',
+  demographics: 'demographics',
+  clusters: 'clusters',
+  transmission: 'transmission',
+  summary: 'summary',
+  summary_min: 'summary',
+  summary_weekly: 'summary_periods',
+  summary_monthly: 'summary_periods',
+  rt: 'rt',
+  cities: 'cities',
+}
+
+// Files that don't follow the docs/<dir>/<date>.json layout.
+const SCHEMA_FOR_FILENAME = {
+  'verification_report.json': 'verification_report',
+  'counts.json': 'tokyo_counts',
+}
+
+const ajv = new Ajv({ allErrors: true })
+const validators = {}
+
+const schemaFilename = (name) => {
+  return path.join(SCHEMA_DIR, `${name}.schema.json`)
+}
+
+const schemaNames = () => {
+  return _.map(_.filter(fs.readdirSync(SCHEMA_DIR), v => { return v.endsWith('.schema.json') }), v => {
+    return path.basename(v, '.schema.json')
+  })
+}
+
+const validator = (name) => {
+  if (!validators[name]) {
+    if (!fs.existsSync(schemaFilename(name))) {
+      throw new Error(`SchemaValidationError: No schema named ${name}`)
+    }
+    validators[name] = ajv.compile(JSON.parse(fs.readFileSync(schemaFilename(name))))
+  }
+  return validators[name]
+}
+
+// Works out which schema a snapshot file should match from where it is.
+//
+// @returns name of the schema, or null if the file isn't one we publish.
+const schemaNameForFile = (filename) => {
+  const basename = path.basename(filename)
+  if (SCHEMA_FOR_FILENAME[basename]) {
+    return SCHEMA_FOR_FILENAME[basename]
+  }
+  const dir = path.basename(path.dirname(path.resolve(filename)))
+  return SCHEMA_FOR_DIR[dir] || null
+}
+
+// Validates data against the named schema.
+//
+// @returns Array of error messages, empty if the data is valid.
+const validate = (name, data) => {
+  const validateSchema = validator(name)
+  if (validateSchema(data)) {
+    return []
+  }
+  return _.map(validateSchema.errors, error => {
+    return `${error.dataPath || '(root)'} ${error.message}`
+  })
+}
+
+// Like validate(), but throws listing the first few errors.
+const validateOrThrow = (name, data) => {
+  const errors = validate(name, data)
+  if (errors.length > 0) {
+    const shown = _.take(errors, 10).join('; ')
+    throw new Error(`SchemaValidationError: ${name} has ${errors.length} errors: ${shown}`)
+  }
+}
+
+exports.SCHEMA_DIR = SCHEMA_DIR
+exports.schemaNames = schemaNames
+exports.schemaNameForFile = schemaNameForFile
+exports.validate = validate
+exports.validateOrThrow = validateOrThrow
@@ -0,0 +1,129 @@
+// Statistical functions used by the epidemiological estimates (see rt.js).
+//
+// We only need a few distributions, so they are implemented here rather than
+// pulling in a statistics library.
+const _ = require('lodash')
+
+const MAX_ITERATIONS = 200
+const EPSILON = 1e-12
+
+const LANCZOS_COEFFICIENTS = [
+  76.18009172947146, -86.50532032941677, 24.01409824083091,
+  -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+]
+
+// Natural log of the gamma function (Lanczos approximation), for x > 0.
+const logGamma = (x) => {
+  let y = x
+  let tmp = x + 5.5
+  tmp -= (x + 0.5) * Math.log(tmp)
+  let series = 1.000000000190015
+  for (let coefficient of LANCZOS_COEFFICIENTS) {
+    y += 1
+    series += coefficient / y
+  }
+  return -tmp + Math.log(2.5066282746310005 * series / x)
+}
+
+// Regularized lower incomplete gamma function P(a, x), for a > 0 and x >= 0.
+const regularizedGammaP = (a, x) => {
+  if (x <= 0) {
+    return 0
+  }
+  const logPrefix = -x + a * Math.log(x) - logGamma(a)
+
+  if (x < a + 1) {
+    // Series expansion.
+    let term = 1 / a
+    let sum = term
+    for (let n = 1; n < MAX_ITERATIONS; n++) {
+      term *= x / (a + n)
+      sum += term
+      if (Math.abs(term) < Math.abs(sum) * EPSILON) {
+        break
+      }
+    }
+    return sum * Math.exp(logPrefix)
+  }
+
+  // Continued fraction for Q(a, x) (modified Lentz's method).
+  let b = x + 1 - a
+  let c = 1 / Number.MIN_VALUE
+  let d = 1 / b
+  let h = d
+  for (let n = 1; n < MAX_ITERATIONS; n++) {
+    const an = -n * (n - a)
+    b += 2
+    d = an * d + b
+    if (Math.abs(d) < Number.MIN_VALUE) {
+      d = Number.MIN_VALUE
+    }
+    c = b + an / c
+    if (Math.abs(c) < Number.MIN_VALUE) {
+      c = Number.MIN_VALUE
+    }
+    d = 1 / d
+    const delta = d * c
+    h *= delta
+    if (Math.abs(delta - 1) < EPSILON) {
+      break
+    }
+  }
+  return 1 - Math.exp(logPrefix) * h
+}
+
+// Cumulative distribution function of the gamma distribution.
+//
+// @param shape Number, k > 0
+// @param scale Number, theta > 0
+const gammaCdf = (x, shape, scale) => {
+  return regularizedGammaP(shape, x / scale)
+}
+
+// Quantile (inverse CDF) of the gamma distribution, by bisection.
+//
+// @param p Number, 0 < p < 1
+const gammaQuantile = (p, shape, scale) => {
+  const mean = shape * scale
+  let low = 0
+  let high = mean + 10 * Math.sqrt(shape) * scale
+  while (gammaCdf(high, shape, scale) < p) {
+    high *= 2
+  }
+  for (let i = 0; i < MAX_ITERATIONS && (high - low) > EPSILON * Math.max(1, high); i++) {
+    const middle = (low + high) / 2
+    if (gammaCdf(middle, shape, scale) < p) {
+      low = middle
+    } else {
+      high = middle
+    }
+  }
+  return (low + high) / 2
+}
+
+// Shape and scale of the gamma distribution with the given mean and standard deviation.
+const gammaFromMoments = (mean, sd) => {
+  return { shape: Math.pow(mean / sd, 2), scale: sd * sd / mean }
+}
+
+// Probability of each whole day of a continuous gamma distribution: w[k] is the
+// probability of falling between day k - 1 and k, for k = 1 to maxDays. w[0] is
+// always 0, and the rest is normalized to add up to 1.
+//
+// @returns Array of length maxDays + 1
+const discretizeGamma = (mean, sd, maxDays) => {
+  const gamma = gammaFromMoments(mean, sd)
+  let weights = [0]
+  for (let k = 1; k <= maxDays; k++) {
+    weights.push(gammaCdf(k, gamma.shape, gamma.scale) - gammaCdf(k - 1, gamma.shape, gamma.scale))
+  }
+  const total = _.sum(weights)
+  return _.map(weights, w => w / total)
+}
+
+exports.logGamma = logGamma
+exports.regularizedGammaP = regularizedGammaP
+exports.gammaCdf = gammaCdf
+exports.gammaQuantile = gammaQuantile
+exports.gammaFromMoments = gammaFromMoments
+exports.discretizeGamma = discretizeGamma
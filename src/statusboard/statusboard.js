@@ -364,6 +364,47 @@ const fetchNHKReport = (url) => {
   })
 }
 
+// Columns showing the share of a prefecture's patients with known fields
+// (from quality/latest.json, see src/quality.js).
+const QUALITY_COLUMNS = {
+  knownAge: 'quality-age',
+  knownGender: 'quality-gender',
+  knownCity: 'quality-city',
+  knownStatus: 'quality-status',
+  knownSourceURL: 'quality-source',
+  withoutId: 'quality-no-id',
+}
+
+const formatShare = (share) => {
+  return `${Math.round(share * 100)}%`
+}
+
+const createPrefectureQualityCells = (prefectureId, quality) => {
+  let latestWeek = _.last(quality.weeks)
+  _.forEach(QUALITY_COLUMNS, (column, measure) => {
+    let title = `${quality.patients} patients`
+    if (latestWeek) {
+      title += `, ${latestWeek.week}: ${formatShare(latestWeek[measure])} of ${latestWeek.patients}`
+    }
+    createCell(prefectureId, column, formatShare(quality[measure]), title)
+  })
+}
+
+const fetchSiteQuality = () => {
+  fetch('https://data.covid19japan.com/quality/latest.json')
+    .then(response => response.json())
+    .then(json => {
+      responses.quality = json
+      for (let prefecture of json.prefectures) {
+        let prefectureId = prefecture.name.toLowerCase()
+        if (typeof rowByPrefecture[prefectureId] === 'undefined') {
+          continue
+        }
+        createPrefectureQualityCells(prefectureId, prefecture)
+      }
+    })
+}
+
 const fetchSiteData = () => {
   fetch('https://data.covid19japan.com/summary/latest.json')
     .then(response => response.json())
@@ -460,6 +501,7 @@ const initSiteDataButton = () => {
   document.querySelector('#site-data-action').addEventListener('click', e => {
     e.preventDefault()
     fetchSiteData()
+    fetchSiteQuality()
     e.target.classList.add('active')
   })
 }
@@ -2,6 +2,7 @@
 // But also normalizes the data so it is common across the different data sources.
 
 const citynames = require('./citynames.csv')
+const Age = require('../age.js')
 const _ = require('lodash')
 
 const placeNameJaToEn = _.fromPairs(_.map(citynames, o => { return [o.ja, o.en] }))
@@ -26,21 +27,27 @@ export const translatePatientId = (id) => {
   return id
 }
 
+// Parses an age label (40代, 10歳未満, 未就学児 ...) into the structured age used in
+// patient data, see src/age.js.
+export const translateAgeRange = (age) => {
+  return Age.compactAge(Age.parseAge(age))
+}
+
+// The age as it goes in the sheet's Age Bracket column: the decade bracket,
+// an exact age, or the source label if it doesn't fit in a single bracket.
 export const translateAge = (age) => {
-  age = normalizeFixedWidthNumbers(age)
-  if (age == '10歳未満') {
-    return '0'
-  } else if (age == '10未満') {
-    return '0'
-  } else if (age == '未就学児') {
-    return '0'
-  } else if (age == '就学児') {
-    return '0'
-  } else if (age == '不明') {
+  const ageRange = Age.parseAge(age)
+  if (ageRange.precision == Age.PRECISION_UNKNOWN) {
     return ''
-  } else {
-    return age.replace('代', '').replace('歳', '')
   }
+  if (ageRange.precision == Age.PRECISION_EXACT) {
+    return String(ageRange.min)
+  }
+  const bracket = Age.ageBracket(ageRange)
+  if (bracket == -1) {
+    return normalizeFixedWidthNumbers(age)
+  }
+  return String(bracket)
 }
 
 export const translateGender = (gender) => {
@@ -84,6 +91,7 @@ export const translateRows = (rows) => {
         translated['dateAnnounced'] = translateDate(row[key])
       } else if (key == '患者_年代' || key == '年代' || key == '患者＿年代') {
         translated['age'] = translateAge(row[key])
+        translated['ageRange'] = translateAgeRange(row[key])
       } else if (key == '患者_性別' || key == '性別'  || key == '患者＿性別') {
         translated['gender'] = translateGender(row[key])
       } else if (key == '居住地' || key == '患者_居住地' || key == '住居地' || key == '患者＿居住地')  {
@@ -106,12 +114,15 @@ export const translateRows = (rows) => {
         const match = row[key].match(ageGenderPattern)
         if (match) {
           translated['age'] = translateAge(match[1])
+          translated['ageRange'] = translateAgeRange(match[1])
           translated['gender'] = translateGender(match[2])
         } else if (row[key] == '0歳男性') {
           translated['age'] = '0'
+          translated['ageRange'] = translateAgeRange('0歳')
           translated['gender'] = 'M'
         } else {
           translated['age'] = translateAge(row[key])
+          translated['ageRange'] = translateAgeRange(row[key])
         }
 
       } else {
@@ -4,9 +4,14 @@ const moment = require('moment')
 const Papa = require('papaparse')
 const fs = require('fs')
 
-const verify = require('./verify.js')
+const Dates = require('./dates.js')
+const Growth = require('./growth.js')
 
 const CRUISE_PASSENGER_DISEMBARKED = /^Cruise Disembarked Passenger/
+const DISCHARGED_STATUSES = ['Discharged', 'Recovered']
+
+// Per 100k fields are rounded to this many decimals.
+const PER_100K_PRECISION = 2
 
 const allPrefectures = () => {
   let prefecturesCsv = fs.readFileSync('./src/statusboard/prefectures.csv', 'utf8')
@@ -14,18 +19,38 @@ const allPrefectures = () => {
   return _.map(prefecturesList.data, o => o.prefecture_en)
 }
 
+// Population of each prefecture (総務省統計局 人口推計, 2019-10-01), from prefectures.csv.
+//
+// @returns { prefectureName: population }
+const prefecturePopulations = () => {
+  let prefecturesCsv = fs.readFileSync('./src/statusboard/prefectures.csv', 'utf8')
+  let prefecturesList = Papa.parse(prefecturesCsv, {header: true, skipEmptyLines: true})
+  return _.fromPairs(_.map(prefecturesList.data, o => [o.prefecture_en, safeParseInt(o.population)]))
+}
+
+const per100k = (count, population) => {
+  return _.round(count * 100000 / population, PER_100K_PRECISION)
+}
+
 // Merge all the data from the spreadsheet with auto-calculation
 //
 // patientData: Output generated by fetchPatientData
 // manualDailyData: List of rows from the Sum By Day spreadsheet.
 // manualPrefectureData: List of rows from the Prefecture Data spreadsheet
 // lastUpdated: String representing when the data was last updated.
+// asOf: moment of the last day to generate daily series up to. Defaults to Dates.runDate().
 //
 // @returns A dictionary with the prefecture and daily summaries.
-const summarize = (patientData, manualDailyData, manualPrefectureData, cruiseCounts, lastUpdated) => {
+const summarize = (patientData, manualDailyData, manualPrefectureData, cruiseCounts, lastUpdated, asOf) => {
+  if (!asOf) {
+    asOf = Dates.runDate()
+  }
   const patients = _.orderBy(patientData, ['dateAnnounced'], ['asc'])
-  let prefectureSummary = generatePrefectureSummary(patients, manualPrefectureData, cruiseCounts)
-  let dailySummary = generateDailySummary(patients, manualDailyData, cruiseCounts)
+  const patientIndex = indexPatients(patients)
+  let prefectureSummary = generatePrefectureSummary(patientIndex, manualPrefectureData, cruiseCounts, asOf)
+  let dailySummary = generateDailySummary(patientIndex, manualDailyData, cruiseCounts)
+  addDailyPer100k(dailySummary, _.sum(_.values(prefecturePopulations())))
+  addDailyGrowth(dailySummary, asOf)
 
   return {
     prefectures: prefectureSummary,
@@ -44,6 +69,71 @@ const safeParseInt = v => {
   return result
 }
 
+// Adds one to counts[key].
+const increment = (counts, key) => {
+  counts[key] = (counts[key] || 0) + 1
+}
+
+const emptyDateCounts = () => {
+  return { confirmed: {}, deceased: {}, discharged: {} }
+}
+
+// Counts the patients in a single pass, so that the daily and prefecture
+// summaries don't have to filter the patients again for every day.
+//
+// patients: Patients ordered by dateAnnounced.
+//
+// @returns {
+//   national: { confirmed: { date: count }, deceased: { date: count } },
+//   prefectures: { name: {
+//     confirmed, deceased, cruisePassenger, confirmedByCity: { city: count },
+//     byDate: { confirmed: { date: count }, deceased: { date: count }, discharged: { date: count } }
+//   } }
+// }
+const indexPatients = (patients) => {
+  let national = { confirmed: {}, deceased: {} }
+  let prefectures = {}
+
+  for (let patient of patients) {
+    let prefectureName = patient.detectedPrefecture
+    let cityName = patient.detectedCityTown
+    if (typeof prefectures[prefectureName] === 'undefined') {
+      prefectures[prefectureName] = { confirmed: 0, deceased: 0, cruisePassenger: 0, confirmedByCity: {}, byDate: emptyDateCounts() }
+    }
+    let prefecture = prefectures[prefectureName]
+
+    if (patient.confirmedPatient) {
+      prefecture.confirmed += 1
+      increment(prefecture.byDate.confirmed, patient.dateAnnounced)
+      if (patient.dateAnnounced) {
+        increment(national.confirmed, patient.dateAnnounced)
+      }
+      if (cityName) {
+        increment(prefecture.confirmedByCity, cityName)
+      }
+      if (patient.knownCluster && CRUISE_PASSENGER_DISEMBARKED.test(patient.knownCluster)) {
+        prefecture.cruisePassenger += 1
+      }
+    }
+
+    if (patient.patientStatus == 'Deceased') {
+      prefecture.deceased += 1
+      increment(prefecture.byDate.deceased, patient.deceasedDate)
+      if (patient.dateAnnounced && patient.deceasedDate) {
+        increment(national.deceased, patient.deceasedDate)
+      }
+    }
+
+    // The sheet has no discharge date, so discharges are placed on the day the
+    // patient was announced.
+    if (DISCHARGED_STATUSES.indexOf(patient.patientStatus) != -1) {
+      increment(prefecture.byDate.discharged, patient.dateAnnounced)
+    }
+  }
+
+  return { national: national, prefectures: prefectures }
+}
+
 const DAILY_SUMMARY_TEMPLATE = {
   confirmed: 0,
   confirmedCumulative: 0,
@@ -65,50 +155,39 @@ const DAILY_SUMMARY_TEMPLATE = {
 }
 
 // Generates the daily summary
-const generateDailySummary = (patients, manualDailyData, cruiseCounts) => {
+//
+// patientIndex: Output of indexPatients
+const generateDailySummary = (patientIndex, manualDailyData, cruiseCounts) => {
   let dailySummary = {}
-  for (let patient of patients) {
-    let dateAnnounced = patient.dateAnnounced
-    if (!patient.dateAnnounced) {
-      continue
-    }
-   
-    if (patient.confirmedPatient) {
-      if (!dailySummary[dateAnnounced]) {
-        dailySummary[dateAnnounced] = _.assign({}, DAILY_SUMMARY_TEMPLATE)
-      } 
-      dailySummary[dateAnnounced].confirmed += 1
-    }
-    if (patient.patientStatus == 'Deceased') {
-      let dateDeceased = patient.deceasedDate
-      if (dateDeceased) {
-        if (!dailySummary[dateDeceased]) {
-          dailySummary[dateDeceased] = _.assign({}, DAILY_SUMMARY_TEMPLATE)
-        } 
-        dailySummary[dateDeceased].deceased += 1
-      }
-    }
+  const dates = _.union(_.keys(patientIndex.national.confirmed), _.keys(patientIndex.national.deceased))
+  for (let date of dates) {
+    dailySummary[date] = _.assign({}, DAILY_SUMMARY_TEMPLATE, {
+      confirmed: patientIndex.national.confirmed[date] || 0,
+      deceased: patientIndex.national.deceased[date] || 0,
+    })
   }
 
   // merge manually sourced data
   // TODO: critical should be pulled out of our patient
   //       data. But those numbers are incomplete.
   for (let row of manualDailyData) {
-    if (dailySummary[row.date]) {
-      dailySummary[row.date].recoveredCumulative = safeParseInt(row.recovered)
-      dailySummary[row.date].criticalCumulative = safeParseInt(row.critical)
-      dailySummary[row.date].testedCumulative = safeParseInt(row.tested)
+    let date = Dates.parseDate(row.date)
+    if (dailySummary[date]) {
+      dailySummary[date].recoveredCumulative = safeParseInt(row.recovered)
+      dailySummary[date].criticalCumulative = safeParseInt(row.critical)
+      dailySummary[date].testedCumulative = safeParseInt(row.tested)
     }
   }
 
   // merge cruise ship data
   for (let row of cruiseCounts) {
-    if (dailySummary[row.date]) {
-      dailySummary[row.date].cruiseConfirmedCumulative = safeParseInt(row.dpConfirmed) + safeParseInt(row.nagasakiConfirmed)
-      dailySummary[row.date].cruiseCriticalCumulative = safeParseInt(row.dpCritical) + safeParseInt(row.nagasakiCritical)
-      dailySummary[row.date].cruiseTestedCumulative = safeParseInt(row.dpTested) + safeParseInt(row.nagasakiTested)
-      dailySummary[row.date].cruiseDeceasedCumulative = safeParseInt(row.dpDeceased) + safeParseInt(row.nagasakiDeceased)
-      dailySummary[row.date].cruiseRecoveredCumulative = safeParseInt(row.dpRecovered) + safeParseInt(row.nagasakiRecovered)
+    let date = Dates.parseDate(row.date)
+    if (dailySummary[date]) {
+      dailySummary[date].cruiseConfirmedCumulative = safeParseInt(row.dpConfirmed) + safeParseInt(row.nagasakiConfirmed)
+      dailySummary[date].cruiseCriticalCumulative = safeParseInt(row.dpCritical) + safeParseInt(row.nagasakiCritical)
+      dailySummary[date].cruiseTestedCumulative = safeParseInt(row.dpTested) + safeParseInt(row.nagasakiTested)
+      dailySummary[date].cruiseDeceasedCumulative = safeParseInt(row.dpDeceased) + safeParseInt(row.nagasakiDeceased)
+      dailySummary[date].cruiseRecoveredCumulative = safeParseInt(row.dpRecovered) + safeParseInt(row.nagasakiRecovered)
     }
   }
 
@@ -205,13 +284,64 @@ const generateDailySummary = (patients, manualDailyData, cruiseCounts) => {
     dailySum.confirmedCumulativeAvg7d = confirmedCumulativeAvg7d
   }
 
-  orderedDailySummary = verify.verifyDailySummary(orderedDailySummary)
   return orderedDailySummary
 }
 
 
 
 
+// Adds population-normalized counts for all of Japan to each day.
+//
+// orderedDailySummary: Output of generateDailySummary. Days without any confirmed
+//   cases or deaths are not in it, so the 7 day window is by date rather than by entry.
+//   Days without a valid date are left without the per 100k counts.
+// population: Population of Japan (sum of the prefectures).
+const addDailyPer100k = (orderedDailySummary, population) => {
+  const dated = _.filter(orderedDailySummary, dailySum => Dates.isISODate(dailySum.date))
+  let windowStart = 0
+  let confirmedInWindow = 0
+  for (let i = 0; i < dated.length; i++) {
+    let dailySum = dated[i]
+    confirmedInWindow += dailySum.confirmed
+    while (moment.utc(dailySum.date).diff(moment.utc(dated[windowStart].date), 'days') >= 7) {
+      confirmedInWindow -= dated[windowStart].confirmed
+      windowStart++
+    }
+    dailySum.confirmedCumulativePer100k = per100k(dailySum.confirmedCumulative, population)
+    dailySum.deceasedCumulativePer100k = per100k(dailySum.deceasedCumulative, population)
+    dailySum.newlyConfirmedPer100k7d = per100k(confirmedInWindow, population)
+  }
+}
+
+// Adds the growth metrics of confirmed cases (see growth.js) over the days up to
+// and including each day, null when there are too few cases and for the latest
+// Growth.INCOMPLETE_DAYS up to asOf, whose counts are still coming in.
+const addDailyGrowth = (orderedDailySummary, asOf) => {
+  const lastCompleteDate = moment(asOf).subtract(Growth.INCOMPLETE_DAYS, 'days').format('YYYY-MM-DD')
+  const dated = _.filter(orderedDailySummary, dailySum => Dates.isISODate(dailySum.date))
+  if (dated.length == 0) {
+    return
+  }
+  // Days without any confirmed cases or deaths are not in the daily summary.
+  const firstDay = moment.utc(_.first(dated).date)
+  let confirmed = []
+  for (let dailySum of dated) {
+    const day = moment.utc(dailySum.date).diff(firstDay, 'days')
+    while (confirmed.length < day) {
+      confirmed.push(0)
+    }
+    confirmed.push(dailySum.confirmed)
+  }
+  for (let dailySum of orderedDailySummary) {
+    dailySum.confirmedGrowth = null
+    if (Dates.isISODate(dailySum.date) && dailySum.date <= lastCompleteDate) {
+      const day = moment.utc(dailySum.date).diff(firstDay, 'days')
+      dailySum.confirmedGrowth = Growth.growthMetrics(_.take(confirmed, day + 1))
+    }
+  }
+}
+
+
 const PREFECTURE_SUMMARY_TEMPLATE = {
   confirmed: 0,
   dailyConfirmedCount: [],
@@ -225,6 +355,10 @@ const PREFECTURE_SUMMARY_TEMPLATE = {
   recovered: 0,
   critical: 0,
   tested: 0,
+  dailyDischargedCount: [],
+  dailyDischargedStartDate: null,
+  dailyActiveCount: [],
+  dailyActiveStartDate: null,
 
   // These need to be separately reset ...
   patients: [],
@@ -233,49 +367,25 @@ const PREFECTURE_SUMMARY_TEMPLATE = {
 
 // Generate the per-prefecture summary, ordered by number of confirmed cases.
 //
-// patients: Patients data from Patient Data spreadsheet.
+// patientIndex: Output of indexPatients.
 // manualPrefectureData: List of rows from the prefecture spreadsheet.
+// asOf: moment of the last day in the daily series.
 //
 // @returns prefectureSummary as a dictionary.
-const generatePrefectureSummary = (patients, manualPrefectureData, cruiseCounts) => {
-  let prefectureSummary = {}
-
-  for (let patient of patients) {
-    let prefectureName = patient.detectedPrefecture
-    let cityName = patient.detectedCityTown
-
-    if (typeof prefectureSummary[prefectureName] === 'undefined') {
-      prefectureSummary[prefectureName] = _.assign({}, PREFECTURE_SUMMARY_TEMPLATE)
-      prefectureSummary[prefectureName].patients = []
-      prefectureSummary[prefectureName].confirmedByCity = {}
-    }
-
-    if (patient.confirmedPatient) {
-      prefectureSummary[prefectureName].confirmed += 1
-      if (cityName) {
-        if (prefectureSummary[prefectureName].confirmedByCity[cityName]) {
-          prefectureSummary[prefectureName].confirmedByCity[cityName] += 1
-        } else {
-          prefectureSummary[prefectureName].confirmedByCity[cityName] = 1        
-        }
-      }
-
-      if (patient.knownCluster && CRUISE_PASSENGER_DISEMBARKED.test(patient.knownCluster)) {
-        prefectureSummary[prefectureName].cruisePassenger += 1
-      }
-    }
-
-    if (patient.patientStatus == 'Deceased') {
-      prefectureSummary[prefectureName].deceased += 1
-    }
-
-    prefectureSummary[prefectureName].patients.push(patient)
-  }
+const generatePrefectureSummary = (patientIndex, manualPrefectureData, cruiseCounts, asOf) => {
+  let prefectureSummary = _.mapValues(patientIndex.prefectures, indexed => {
+    let prefecture = _.assign({}, PREFECTURE_SUMMARY_TEMPLATE)
+    prefecture.confirmed = indexed.confirmed
+    prefecture.deceased = indexed.deceased
+    prefecture.cruisePassenger = indexed.cruisePassenger
+    prefecture.confirmedByCity = indexed.confirmedByCity
+    return prefecture
+  })
 
   for (let prefectureName of _.keys(prefectureSummary)) {
     let prefecture = prefectureSummary[prefectureName]
-    const firstDay = moment('2020-01-08')
-    const daily = generateDailyStatsForPrefecture(prefecture.patients, firstDay)
+    const firstDay = moment(Dates.SERIES_START_DATE)
+    const daily = generateDailyStatsForPrefecture(patientIndex.prefectures[prefectureName].byDate, firstDay, asOf)
     if (daily.confirmed && daily.confirmed.length) {
       prefecture.dailyConfirmedCount = daily.confirmed
       prefecture.dailyConfirmedStartDate = firstDay.format('YYYY-MM-DD')
@@ -292,6 +402,10 @@ const generatePrefectureSummary = (patients, manualPrefectureData, cruiseCounts)
         prefecture.yesterdayDeceased = daily.deaths[daily.deaths.length - 2]
       }
     }
+    prefecture.dailyDischargedCount = daily.discharged
+    prefecture.dailyDischargedStartDate = firstDay.format('YYYY-MM-DD')
+    prefecture.dailyActiveCount = daily.active
+    prefecture.dailyActiveStartDate = firstDay.format('YYYY-MM-DD')
   }
 
   // Import manual data.
@@ -310,7 +424,7 @@ const generatePrefectureSummary = (patients, manualPrefectureData, cruiseCounts)
 
   // Incorporate cruise ship patients.
   if (cruiseCounts) {
-    let cruiseSummaries = generateCruiseShipPrefectureSummary(cruiseCounts)    
+    let cruiseSummaries = generateCruiseShipPrefectureSummary(cruiseCounts, asOf)
     prefectureSummary['Nagasaki Cruise Ship'] = cruiseSummaries.nagasakiCruise
     prefectureSummary['Diamond Princess Cruise Ship'] = cruiseSummaries.diamondPrincess
   }
@@ -331,6 +445,30 @@ const generatePrefectureSummary = (patients, manualPrefectureData, cruiseCounts)
     return v
   })
 
+  // Population-normalized counts, for real prefectures only.
+  const populations = prefecturePopulations()
+  prefectureSummary = _.mapValues(prefectureSummary, (v, k) => {
+    const population = populations[k]
+    if (v.pseudoPrefecture || !population) {
+      return v
+    }
+    v.population = population
+    v.confirmedPer100k = per100k(v.confirmed, population)
+    v.deceasedPer100k = per100k(v.deceased, population)
+    v.newlyConfirmedPer100k7d = per100k(_.sum(_.takeRight(v.dailyConfirmedCount, 7)), population)
+    return v
+  })
+
+  // Growth of confirmed cases up to the latest complete day, for real prefectures
+  // only (like Rt, see rt.js).
+  prefectureSummary = _.mapValues(prefectureSummary, (v, k) => {
+    if (v.pseudoPrefecture) {
+      return v
+    }
+    v.confirmedGrowth = Growth.growthMetrics(_.dropRight(v.dailyConfirmedCount, Growth.INCOMPLETE_DAYS))
+    return v
+  })
+
 
   return _.map(
     _.reverse(
@@ -342,7 +480,7 @@ const generatePrefectureSummary = (patients, manualPrefectureData, cruiseCounts)
 }
 
 // Generates pseudo prefecture summaries for cruise passengers.
-const generateCruiseShipPrefectureSummary = (cruiseCounts) => {
+const generateCruiseShipPrefectureSummary = (cruiseCounts, asOf) => {
   let diamondPrincess = _.assign({}, PREFECTURE_SUMMARY_TEMPLATE)
   diamondPrincess.name = 'Diamond Princess Cruise Ship'
   diamondPrincess.name_ja = 'ダイヤモンド・プリンセス'
@@ -361,10 +499,10 @@ const generateCruiseShipPrefectureSummary = (cruiseCounts) => {
 
 
   // Generate per-day increment data.
-  const firstDay = moment('2020-02-04')
-  const lastDay = moment().utcOffset(540)
+  const firstDay = moment(Dates.CRUISE_SERIES_START_DATE)
+  const lastDay = asOf
   let day = moment(firstDay)
-  let cruiseCountsByDay = _.fromPairs(_.map(cruiseCounts, o => { return [o.date, o] }))
+  let cruiseCountsByDay = _.fromPairs(_.map(cruiseCounts, o => { return [Dates.parseDate(o.date), o] }))
 
   while (day <= lastDay) {
     let dateString = day.format('YYYY-MM-DD')
@@ -454,21 +592,181 @@ const generateCruiseShipPrefectureSummary = (cruiseCounts) => {
   return {diamondPrincess: diamondPrincess, nagasakiCruise: nagasakiCruise}
 }
 
-const generateDailyStatsForPrefecture = (patients, firstDay) => {
-  const lastDay = moment().utcOffset(540)
+// Periods that the daily summary and prefecture series can be aggregated by.
+//
+// Each returns { period, startDate, endDate } of the period a YYYY-MM-DD date is in.
+const PERIODS = {
+  // ISO weeks, starting on Monday (e.g. 2020-W16).
+  week: date => {
+    const isoWeek = Dates.isoWeek(date)
+    return {
+      period: isoWeek.week,
+      startDate: isoWeek.startDate,
+      endDate: moment.utc(isoWeek.startDate).add(6, 'days').format('YYYY-MM-DD'),
+    }
+  },
+  // Calendar months (e.g. 2020-04).
+  month: date => {
+    const day = moment.utc(date)
+    return {
+      period: day.format('YYYY-MM'),
+      startDate: moment.utc(day).startOf('month').format('YYYY-MM-DD'),
+      endDate: moment.utc(day).endOf('month').format('YYYY-MM-DD'),
+    }
+  },
+}
+
+// Flow metrics that are compared with the previous period.
+const PERIOD_CHANGE_KEYS = ['confirmed', 'deceased']
+
+// Aggregates values for each day from firstDate to lastDate into periods.
+//
+// valuesOn(date): Values of the day, or undefined if there are none.
+// flowKeys: Counts of the day, summed over the period (0 for days without values).
+// levelKeys: Running totals, the value of the last day of the period with values.
+//
+// @returns [{ period, startDate, endDate, complete, ...flowKeys, ...levelKeys,
+//             confirmedChange, confirmedChangeRatio, deceasedChange, deceasedChangeRatio }]
+//   complete is false if the period ends after lastDate.
+const aggregateByPeriod = (firstDate, lastDate, periodOf, valuesOn, flowKeys, levelKeys) => {
+  let rows = []
+  let levels = _.fromPairs(_.map(levelKeys, key => [key, 0]))
+  let day = moment.utc(firstDate)
+  while (day.format('YYYY-MM-DD') <= lastDate) {
+    const date = day.format('YYYY-MM-DD')
+    const period = periodOf(date)
+    if (!rows.length || _.last(rows).period != period.period) {
+      rows.push(_.assign(period, { complete: period.endDate <= lastDate }, _.fromPairs(_.map(flowKeys, key => [key, 0]))))
+    }
+    let row = _.last(rows)
+    const values = valuesOn(date)
+    if (values) {
+      for (let key of flowKeys) {
+        row[key] += values[key] || 0
+      }
+      levels = _.assign(levels, _.pick(values, levelKeys))
+    }
+    _.assign(row, levels)
+    day.add(1, 'days')
+  }
+
+  // Change from the previous period, null for the first one. The ratio is also
+  // null when the previous period had none, or when either period is negative
+  // (the cruise ship pseudo prefectures, whose totals were revised down).
+  for (let i = 0; i < rows.length; i++) {
+    for (let key of PERIOD_CHANGE_KEYS) {
+      const previous = (i > 0) ? rows[i - 1][key] : null
+      rows[i][`${key}Change`] = (previous === null) ? null : rows[i][key] - previous
+      rows[i][`${key}ChangeRatio`] = (previous > 0 && rows[i][key] >= 0) ? _.round(rows[i][key] / previous, 3) : null
+    }
+  }
+  return rows
+}
+
+// Values of a prefecture for each day, from its daily series.
+//
+// @returns { date: { confirmed, deceased, discharged, confirmedCumulative, deceasedCumulative, activeCumulative } }
+const prefectureValuesByDate = (prefecture) => {
+  let byDate = {}
+  const addSeries = (counts, startDate, key, cumulativeKey) => {
+    if (!counts || !counts.length || !startDate) {
+      return
+    }
+    let cumulative = 0
+    _.forEach(counts, (count, i) => {
+      const date = moment.utc(startDate).add(i, 'days').format('YYYY-MM-DD')
+      byDate[date] = byDate[date] || {}
+      if (key) {
+        byDate[date][key] = count
+      }
+      cumulative = key ? cumulative + count : count
+      byDate[date][cumulativeKey] = cumulative
+    })
+  }
+  addSeries(prefecture.dailyConfirmedCount, prefecture.dailyConfirmedStartDate, 'confirmed', 'confirmedCumulative')
+  addSeries(prefecture.dailyDeceasedCount, prefecture.dailyDeceasedStartDate, 'deceased', 'deceasedCumulative')
+  addSeries(prefecture.dailyDischargedCount, prefecture.dailyDischargedStartDate, 'discharged', 'dischargedCumulative')
+  // Active cases are already a running total.
+  addSeries(prefecture.dailyActiveCount, prefecture.dailyActiveStartDate, null, 'activeCumulative')
+  return byDate
+}
+
+// Aggregates a summary (output of summarize) by ISO week or calendar month.
+//
+// summary: Output of summarize.
+// period: 'week' or 'month'.
+// asOf: moment of the last day, the same as given to summarize.
+//
+// @returns {
+//   period, updated,
+//   daily: [{ period, startDate, endDate, complete, confirmed, ..., confirmedCumulative, ... }],
+//   prefectures: [{ name, pseudoPrefecture, periods: [{ period, startDate, endDate, complete, confirmed, ... }] }]
+// }
+const summarizeByPeriod = (summary, period, asOf) => {
+  const periodOf = PERIODS[period]
+  if (!periodOf) {
+    throw new Error(`SummaryPeriodError: Unknown period ${period}, expected one of ${_.keys(PERIODS).join(', ')}`)
+  }
+  if (!asOf) {
+    asOf = Dates.runDate()
+  }
+  const lastDate = asOf.format('YYYY-MM-DD')
+
+  const dailyByDate = _.keyBy(_.filter(summary.daily, dailySum => Dates.isISODate(dailySum.date)), 'date')
+  const firstDailyDate = _.min(_.keys(dailyByDate))
+  const daily = firstDailyDate ? aggregateByPeriod(firstDailyDate, lastDate, periodOf, date => dailyByDate[date],
+    ['confirmed', 'deceased', 'recovered', 'critical', 'tested', 'active'],
+    ['confirmedCumulative', 'deceasedCumulative', 'recoveredCumulative', 'criticalCumulative', 'testedCumulative', 'activeCumulative']) : []
+
+  const prefectures = _.map(summary.prefectures, prefecture => {
+    const byDate = prefectureValuesByDate(prefecture)
+    const firstDate = _.min(_.keys(byDate))
+    return {
+      name: prefecture.name,
+      pseudoPrefecture: !!prefecture.pseudoPrefecture,
+      periods: firstDate ? aggregateByPeriod(firstDate, lastDate, periodOf, date => byDate[date],
+        ['confirmed', 'deceased', 'discharged'],
+        ['confirmedCumulative', 'deceasedCumulative', 'dischargedCumulative', 'activeCumulative']) : [],
+    }
+  })
+
+  return {
+    period: period,
+    updated: summary.updated,
+    daily: daily,
+    prefectures: prefectures,
+  }
+}
+
+// Generates the per-day series of a prefecture from its counts by date.
+//
+// byDate: { confirmed, deceased, discharged }, each { date: count } (see indexPatients)
+//
+// @returns { confirmed, deaths, discharged: counts for each day,
+//            active: confirmed less deaths and discharges up to and including each day }
+const generateDailyStatsForPrefecture = (byDate, firstDay, asOf) => {
+  const lastDay = asOf
   let day = moment(firstDay)
-  let dailyConfirmed= []
+  let dailyConfirmed = []
   let dailyDeaths = []
+  let dailyDischarged = []
+  let dailyActive = []
+  let active = 0
   while (day <= lastDay) {
     let dayString = day.format('YYYY-MM-DD')
-    let confirmed = _.filter(patients, o => { return o.dateAnnounced == dayString && o.confirmedPatient})
-    dailyConfirmed.push(confirmed.length)
-    let deaths = _.filter(patients, o => { return o.deceasedDate == dayString && o.patientStatus == 'Deceased'})
-    dailyDeaths.push(deaths.length)
+    let confirmed = byDate.confirmed[dayString] || 0
+    let deaths = byDate.deceased[dayString] || 0
+    let discharged = byDate.discharged[dayString] || 0
+    active += confirmed - deaths - discharged
+    dailyConfirmed.push(confirmed)
+    dailyDeaths.push(deaths)
+    dailyDischarged.push(discharged)
+    dailyActive.push(active)
     day = day.add(1, 'days')
   }
-  return {confirmed: dailyConfirmed, deaths: dailyDeaths}
+  return {confirmed: dailyConfirmed, deaths: dailyDeaths, discharged: dailyDischarged, active: dailyActive}
 }
 
 exports.summarize = summarize;
+exports.summarizeByPeriod = summarizeByPeriod
 
@@ -0,0 +1,178 @@
+// Declarative configuration of the spreadsheet tabs we read (src/config/tabs.json).
+//
+// Each tab has:
+//   name: Name of the tab in the spreadsheet.
+//   role: What the tab contains, one of TAB_ROLES.
+//   required: Whether the run should abort if the tab can not be fetched.
+//   headerNormalizer: Name of a normalizer in header_normalizers.js.
+//   columnSchema: (patients) Name of a versioned schema in columnSchemas that maps
+//                 output fields to normalized headers (see column_schema.js).
+//   onMissingRequired: (optional) 'fail' or 'warn', overrides the schema's setting.
+//   idNamespace: (patients, optional) Letters put in front of the tab's plain patient
+//                numbers to make its patientIds, for a tab that numbers its patients
+//                on its own. Default JPN, the numbering shared with Patient Data
+//                (see patient_identity.js).
+//
+// mergePrecedence says which patient tab wins when tabs disagree on a field of
+// the same patient (see merge_patients.js):
+//   default: Tab names in order of precedence. '*' stands for every patient tab
+//            that isn't listed, in the order they are configured.
+//   fields: Per-field overrides of default, e.g. { "patientStatus": ["*", "Patient Data"] }
+//
+// To add a new prefecture patient tab, add a row to tabs.json. No code changes needed.
+const fs = require('fs')
+const path = require('path')
+const _ = require('lodash')
+
+const FetchSheet = require('./fetch_sheet.js')
+const HeaderNormalizers = require('./header_normalizers.js')
+const ColumnSchema = require('./column_schema.js')
+
+const DEFAULT_CONFIG_FILENAME = path.join(__dirname, 'config', 'tabs.json')
+
+const ON_MISSING_REQUIRED = ['fail', 'warn']
+
+// An idNamespace is put in front of numbers, so it can't end in one.
+const ID_NAMESPACE_PATTERN = /^[A-Za-z]+$/
+
+const TAB_ROLES = [
+  'patients',
+  'dailyManualData',
+  'prefectureManualData',
+  'cruiseCounts',
+  'cityCounts',
+]
+
+let config = null
+
+const validateConfig = (loadedConfig, filename) => {
+  _.forEach(loadedConfig.columnSchemas, (schema, schemaName) => {
+    if (schema.onMissingRequired && ON_MISSING_REQUIRED.indexOf(schema.onMissingRequired) == -1) {
+      throw new Error(`TabConfigError: columnSchema ${schemaName} has unknown onMissingRequired ${schema.onMissingRequired}`)
+    }
+  })
+  for (let tab of loadedConfig.tabs) {
+    if (!tab.name) {
+      throw new Error(`TabConfigError: Tab without a name in ${filename}`)
+    }
+    if (TAB_ROLES.indexOf(tab.role) == -1) {
+      throw new Error(`TabConfigError: ${tab.name} has unknown role ${tab.role}`)
+    }
+    if (tab.headerNormalizer && !HeaderNormalizers[tab.headerNormalizer]) {
+      throw new Error(`TabConfigError: ${tab.name} has unknown headerNormalizer ${tab.headerNormalizer}`)
+    }
+    if (tab.columnSchema && !loadedConfig.columnSchemas[tab.columnSchema]) {
+      throw new Error(`TabConfigError: ${tab.name} has unknown columnSchema ${tab.columnSchema}`)
+    }
+    if (tab.onMissingRequired && ON_MISSING_REQUIRED.indexOf(tab.onMissingRequired) == -1) {
+      throw new Error(`TabConfigError: ${tab.name} has unknown onMissingRequired ${tab.onMissingRequired}`)
+    }
+    if (typeof tab.idNamespace !== 'undefined' && !ID_NAMESPACE_PATTERN.test(tab.idNamespace)) {
+      throw new Error(`TabConfigError: ${tab.name} has idNamespace ${tab.idNamespace}, which is not only letters`)
+    }
+    // Without a column schema there is nothing to map the rows to, and the tab
+    // would quietly add no patients.
+    if (tab.role == 'patients' && !tab.columnSchema) {
+      throw new Error(`TabConfigError: ${tab.name} has role patients but no columnSchema`)
+    }
+  }
+
+  const patientTabNames = _.map(_.filter(loadedConfig.tabs, tab => { return tab.role == 'patients' }), 'name')
+  const precedence = loadedConfig.mergePrecedence
+  const precedenceLists = _.concat([precedence.default || []], _.values(precedence.fields))
+  for (let tabName of _.flatten(precedenceLists)) {
+    if (tabName != '*' && patientTabNames.indexOf(tabName) == -1) {
+      throw new Error(`TabConfigError: mergePrecedence refers to ${tabName}, which is not a patients tab`)
+    }
+  }
+  return loadedConfig
+}
+
+// Loads the tab configuration, replacing any previously loaded one.
+//
+// @param filename String, path to the JSON config. Default src/config/tabs.json.
+const loadConfig = (filename) => {
+  filename = filename || process.env.TAB_CONFIG || DEFAULT_CONFIG_FILENAME
+  const loadedConfig = JSON.parse(fs.readFileSync(filename, 'utf8'))
+  config = validateConfig(_.defaults(loadedConfig, { columnSchemas: {}, mergePrecedence: {}, tabs: [] }), filename)
+  return config
+}
+
+const currentConfig = () => {
+  if (!config) {
+    loadConfig()
+  }
+  return config
+}
+
+// @returns List of tabs with the role, in the order they are configured.
+const tabsWithRole = (role) => {
+  return _.filter(currentConfig().tabs, tab => { return tab.role == role })
+}
+
+// @returns The single tab with the role.
+// @throws TabConfigError if there is not exactly one.
+const tabWithRole = (role) => {
+  const tabs = tabsWithRole(role)
+  if (tabs.length != 1) {
+    throw new Error(`TabConfigError: Expecting one tab with role ${role}, found ${tabs.length}`)
+  }
+  return tabs[0]
+}
+
+// @returns { default, fields }, see mergePrecedence above.
+const mergePrecedence = () => {
+  return _.defaults({}, currentConfig().mergePrecedence, { default: ['*'], fields: {} })
+}
+
+const headerNormalizer = (tab) => {
+  return HeaderNormalizers[tab.headerNormalizer || 'camelCase']
+}
+
+const columnSchema = (tab) => {
+  if (!tab.columnSchema) {
+    return null
+  }
+  return currentConfig().columnSchemas[tab.columnSchema]
+}
+
+const columnMapping = (tab) => {
+  const schema = columnSchema(tab)
+  return schema ? ColumnSchema.columnMapping(schema) : null
+}
+
+const fetchOptions = (tab) => {
+  return { required: tab.required !== false }
+}
+
+// Fetches the rows of a tab with its configured header normalizer.
+const fetchRows = (tab) => {
+  return FetchSheet.fetchRows(tab.name, headerNormalizer(tab), fetchOptions(tab))
+}
+
+// Fetches the rows of a tab and checks its headers against the tab's column schema,
+// logging ignored and missing columns.
+//
+// @throws ColumnDriftError (rejects) if a required column is missing and the schema fails on it.
+const fetchRowsWithSchema = (tab) => {
+  return FetchSheet.fetchTable(tab.name, headerNormalizer(tab), fetchOptions(tab))
+    .then(table => {
+      const schema = columnSchema(tab)
+      if (schema && table.fields.length) {
+        const drift = ColumnSchema.checkColumns(schema, table.fields)
+        ColumnSchema.reportColumnDrift(tab.name, tab.columnSchema, schema, drift, tab.onMissingRequired)
+      }
+      return table.rows
+    })
+}
+
+exports.TAB_ROLES = TAB_ROLES
+exports.loadConfig = loadConfig
+exports.tabsWithRole = tabsWithRole
+exports.tabWithRole = tabWithRole
+exports.mergePrecedence = mergePrecedence
+exports.headerNormalizer = headerNormalizer
+exports.columnSchema = columnSchema
+exports.columnMapping = columnMapping
+exports.fetchRows = fetchRows
+exports.fetchRowsWithSchema = fetchRowsWithSchema
@@ -0,0 +1,221 @@
+// Transmission network built from the free text relatedPatients field.
+//
+// relatedPatients names the patients a patient is known to be related to, in
+// any of the forms the sheet uses:
+//
+//   "Kanagawa#7 Kanagawa#8", "Contact with Aichi#67, #68", "Husband of #76",
+//   "Tokyo#174-#184", "TOK4", "297,426, 427,428", "Living together with patient no. 526"
+//
+// Each reference is resolved to a patientId with the alias table (see
+// patient_identity.js), so "Kanagawa#7" and "MHLW#60" become edges between
+// patients. "#76" is numbered like the name before it ("Aichi#67, #68"), or else
+// like the patientId of the patient itself: OSK76 for a patient of the Osaka tab
+// (OSK12), JPN76 for a patient with a plain sheet number (JPN12). Plain numbers
+// are sheet patient numbers. References that can't be resolved are listed so they
+// can be fixed in the sheet.
+const _ = require('lodash')
+
+const PatientIdentity = require('./patient_identity.js')
+
+// Dates in the text, e.g. "Mother of Kyoto#6 (2/10-3/5)", are not patient numbers.
+const DATE_PATTERN = /[0-9]{1,2}\/[0-9]{1,2}/g
+// Kanagawa#7, #76, Tokyo#174-#184 (or -184, -Tokyo#184), TOK4 or 297. Names
+// start with a capital so "Husband of #76" is #76.
+const REFERENCE_PATTERN = /([A-Z][A-Za-z\-]*)?\s*#\s*([0-9]+)(?:\s*[-~〜]\s*\1?\s*#?\s*([0-9]+))?|\b([A-Z]{2,}[0-9]+)\b|\b([0-9]+)\b/g
+
+// The namespace of a patientId, e.g. OSK in OSK12.
+const PATIENT_ID_PREFIX_PATTERN = /^([A-Z]+)[0-9]+$/
+
+// Ranges longer than this are taken to be typos, and only their ends are read.
+const MAX_RANGE_LENGTH = 100
+
+// Parses relatedPatients into the aliases it refers to.
+//
+// @param patientId The patientId of the patient, for "#76" without a name before it. Optional.
+// @returns Array of aliases, e.g. ['Kanagawa#7', 'Kanagawa#8', 'OSK76', 'TOK4', '297']
+const parseRelatedPatients = (value, patientId) => {
+  if (!value) {
+    return []
+  }
+  const text = String(value).normalize('NFKC').replace(DATE_PATTERN, ' ')
+  const prefixMatch = String(patientId).match(PATIENT_ID_PREFIX_PATTERN)
+  const prefix = prefixMatch ? prefixMatch[1] : ''
+  let lastName = null
+  return _.uniq(_.flatMap(Array.from(text.matchAll(REFERENCE_PATTERN)), match => {
+    if (!match[2]) {
+      return [match[4] || match[5]]
+    }
+    if (match[1]) {
+      lastName = match[1]
+    }
+    let numbers = [parseInt(match[2])]
+    if (match[3]) {
+      const last = parseInt(match[3])
+      numbers = (last > numbers[0] && last - numbers[0] < MAX_RANGE_LENGTH) ? _.range(numbers[0], last + 1) : [numbers[0], last]
+    }
+    return _.map(numbers, number => lastName ? `${lastName}#${number}` : `${prefix}${number}`)
+  }))
+}
+
+// Lengths of the shortest paths from a node to every node it is connected to.
+const distancesFrom = (start, adjacency) => {
+  let distances = { [start]: 0 }
+  let queue = [start]
+  while (queue.length > 0) {
+    const node = queue.shift()
+    for (let neighbour of adjacency[node]) {
+      if (distances[neighbour] === undefined) {
+        distances[neighbour] = distances[node] + 1
+        queue.push(neighbour)
+      }
+    }
+  }
+  return distances
+}
+
+// Builds the transmission network.
+//
+// @param patients Array, merged patients. Patients without a patientId are left out.
+// @param aliasTable Object, output of PatientIdentity.buildAliasTable(patients)
+// @returns {
+//   nodes: [{ id, detectedPrefecture, dateAnnounced, patientStatus, component }], patients with an edge,
+//   edges: [{ source, target, reference }], source is the patient whose relatedPatients has the reference,
+//   unresolved: [{ patientId, reference }],
+//   components: [{ id, size, edges, chainLength, prefectures, firstDate, lastDate, patients }], largest first,
+//   stats: { nodes, edges, unresolved, components, largestComponent, longestChain, componentSizes: [{ size, count }] }
+// }
+const transmissionNetwork = (patients, aliasTable) => {
+  const patientsById = _.keyBy(_.filter(patients, PatientIdentity.hasPatientId), patient => String(patient.patientId))
+
+  let edges = []
+  let edgeKeys = {}
+  let unresolved = []
+  for (let patient of _.values(patientsById)) {
+    const source = String(patient.patientId)
+    for (let reference of parseRelatedPatients(patient.relatedPatients, source)) {
+      const target = PatientIdentity.resolveAlias(aliasTable, reference)
+      if (!target) {
+        unresolved.push({ patientId: source, reference: reference })
+        continue
+      }
+      // The network is undirected: A listing B and B listing A is one edge.
+      const key = _.sortBy([source, target]).join(' ')
+      if (source == target || edgeKeys[key]) {
+        continue
+      }
+      edgeKeys[key] = true
+      edges.push({ source: source, target: target, reference: reference })
+    }
+  }
+
+  let adjacency = {}
+  for (let edge of edges) {
+    adjacency[edge.source] = (adjacency[edge.source] || []).concat([edge.target])
+    adjacency[edge.target] = (adjacency[edge.target] || []).concat([edge.source])
+  }
+
+  // Connected components, each with its longest chain: the most edges between
+  // two of its patients on the shortest path (the diameter).
+  let componentOf = {}
+  let components = []
+  for (let node of _.sortBy(_.keys(adjacency))) {
+    if (componentOf[node] !== undefined) {
+      continue
+    }
+    const members = _.keys(distancesFrom(node, adjacency))
+    for (let member of members) {
+      componentOf[member] = true
+    }
+    const memberPatients = _.map(members, id => patientsById[id])
+    const dates = _.compact(_.map(memberPatients, 'dateAnnounced'))
+    components.push({
+      size: members.length,
+      edges: _.sumBy(members, member => adjacency[member].length) / 2,
+      chainLength: _.max(_.map(members, member => _.max(_.values(distancesFrom(member, adjacency))))),
+      prefectures: _.sortBy(_.uniq(_.compact(_.map(memberPatients, 'detectedPrefecture')))),
+      firstDate: dates.length ? _.min(dates) : null,
+      lastDate: dates.length ? _.max(dates) : null,
+      patients: _.sortBy(members),
+    })
+  }
+  components = _.map(_.orderBy(components, ['size', 'chainLength'], ['desc', 'desc']), (component, index) => {
+    for (let member of component.patients) {
+      componentOf[member] = index
+    }
+    return _.assign({ id: index }, component)
+  })
+
+  const nodes = _.map(_.sortBy(_.keys(adjacency)), id => {
+    const patient = patientsById[id]
+    return {
+      id: id,
+      detectedPrefecture: patient.detectedPrefecture,
+      dateAnnounced: patient.dateAnnounced,
+      patientStatus: patient.patientStatus,
+      component: componentOf[id],
+    }
+  })
+
+  return {
+    nodes: nodes,
+    edges: edges,
+    unresolved: unresolved,
+    components: components,
+    stats: {
+      nodes: nodes.length,
+      edges: edges.length,
+      unresolved: unresolved.length,
+      components: components.length,
+      largestComponent: components.length ? components[0].size : 0,
+      longestChain: _.max(_.map(components, 'chainLength')) || 0,
+      componentSizes: _.map(_.toPairs(_.countBy(components, 'size')), pair => {
+        return { size: parseInt(pair[0]), count: pair[1] }
+      }),
+    },
+  }
+}
+
+const escapeXML = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// Serializes the network (output of transmissionNetwork) as GraphML, for Gephi,
+// Cytoscape, networkx and the like.
+const toGraphML = (network) => {
+  const data = (key, value) => {
+    return (value === undefined || value === null) ? '' : `<data key="${key}">${escapeXML(value)}</data>`
+  }
+  let lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="detectedPrefecture" for="node" attr.name="detectedPrefecture" attr.type="string"/>',
+    '  <key id="dateAnnounced" for="node" attr.name="dateAnnounced" attr.type="string"/>',
+    '  <key id="patientStatus" for="node" attr.name="patientStatus" attr.type="string"/>',
+    '  <key id="component" for="node" attr.name="component" attr.type="int"/>',
+    '  <key id="reference" for="edge" attr.name="reference" attr.type="string"/>',
+    '  <graph id="transmission" edgedefault="undirected">',
+  ]
+  for (let node of network.nodes) {
+    lines.push(`    <node id="${escapeXML(node.id)}">` +
+      data('detectedPrefecture', node.detectedPrefecture) +
+      data('dateAnnounced', node.dateAnnounced) +
+      data('patientStatus', node.patientStatus) +
+      data('component', node.component) +
+      '</node>')
+  }
+  for (let edge of network.edges) {
+    lines.push(`    <edge source="${escapeXML(edge.source)}" target="${escapeXML(edge.target)}">` +
+      data('reference', edge.reference) +
+      '</edge>')
+  }
+  lines.push('  </graph>', '</graphml>', '')
+  return lines.join('\n')
+}
+
+exports.parseRelatedPatients = parseRelatedPatients
+exports.transmissionNetwork = transmissionNetwork
+exports.toGraphML = toGraphML
@@ -1,70 +1,394 @@
 // Methods that are used to verify and fix any data issues before pushing.
+//
+// Checks are rules in a registry. Each rule has:
+//   id: Unique name, e.g. 'daily.minimumLength'.
+//   severity: 'error' (blocks publishing), 'warn' or 'info'.
+//   scope: What it checks, one of SCOPES. A rule runs only when its scope's data is given.
+//   description: What the rule checks, for the report.
+//   check: (items, data) => Array of violations, each { subject, message }.
+//          items is the data for the rule's scope, data has all scopes.
+//
+// runRules runs every rule and collects all the violations, rather than stopping
+// at the first one, into a report that is written next to the summary.
 const _ = require('lodash')
 
-// Verification of the daily summary.
+const Anomalies = require('./anomalies.js')
+const PatientIdentity = require('./patient_identity.js')
+
+const SEVERITIES = ['error', 'warn', 'info']
+
+// Scope -> the key of the data it checks.
+//   patient: Merged patients (and patientLists, the patients of each tab before merging).
+//   daily: summary.daily
+//   prefecture: summary.prefectures
+//   tokyoCounts: Tokyo per-ward/city counts.
+const SCOPES = {
+  patient: 'patients',
+  daily: 'daily',
+  prefecture: 'prefectures',
+  tokyoCounts: 'tokyoCounts',
+}
+
+let rules = []
+
+// Adds a rule to the registry.
 //
-// @throws ValidationError if the data is not correct.
-// @returns valid dailySummary.
-const verifyDailySummary = (dailySummary) => {
-  // Ensure there's some data.
-  if (dailySummary.length < 10) {
-    throw new Error(`DailySummaryError: Expecting more than 10 days of data.`)
-  }
-
-  // Ensure none of the fields are zero.
-  let latestDay = dailySummary[dailySummary.length - 1]
-  for (let key in _.keys(latestDay)) {
-    if (key.endsWith('Cumulative')) {
-      if (latestDay[key] < 1) {
-        throw new Error(`DailySummaryError: ${key} for the latest day is 0.`)
-      }
+// @throws Error if the rule is not valid, or a rule with the same id exists.
+const registerRule = (rule) => {
+  if (!rule.id || _.find(rules, { id: rule.id })) {
+    throw new Error(`VerifyError: Rule id ${rule.id} is missing or already registered`)
+  }
+  if (SEVERITIES.indexOf(rule.severity) == -1) {
+    throw new Error(`VerifyError: Rule ${rule.id} has unknown severity ${rule.severity}`)
+  }
+  if (!SCOPES[rule.scope]) {
+    throw new Error(`VerifyError: Rule ${rule.id} has unknown scope ${rule.scope}`)
+  }
+  rules.push(rule)
+  return rule
+}
+
+const registeredRules = () => {
+  return rules
+}
+
+// Runs every registered rule whose scope is in data.
+//
+// @param data Object, { patients, patientLists, daily, prefectures, tokyoCounts, anomalies }, all optional.
+// @param generated String, time of the run.
+// @returns {
+//   generated,
+//   passed: false if there are any errors,
+//   counts: { error, warn, info },
+//   rules: [{ id, severity, scope, description, violations: count, skipped }],
+//   violations: [{ rule, severity, scope, subject, message }]
+// }
+const runRules = (data, generated) => {
+  let violations = []
+  let ruleResults = []
+  for (let rule of rules) {
+    const items = data[SCOPES[rule.scope]]
+    let result = _.pick(rule, ['id', 'severity', 'scope', 'description'])
+    if (typeof items === 'undefined') {
+      ruleResults.push(_.assign(result, { violations: 0, skipped: true }))
+      continue
     }
+
+    let ruleViolations = rule.check(items, data) || []
+    ruleViolations = _.map(ruleViolations, violation => {
+      return {
+        rule: rule.id,
+        severity: rule.severity,
+        scope: rule.scope,
+        subject: violation.subject,
+        message: violation.message,
+      }
+    })
+    ruleResults.push(_.assign(result, { violations: ruleViolations.length }))
+    violations = _.concat(violations, ruleViolations)
   }
 
-  return dailySummary
+  const counts = _.assign(_.fromPairs(_.map(SEVERITIES, v => [v, 0])), _.countBy(violations, 'severity'))
+  return {
+    generated: generated,
+    passed: counts.error == 0,
+    counts: counts,
+    rules: ruleResults,
+    violations: violations,
+  }
 }
 
-const verifyPrefectures = (prefectures) => {
-  for (let prefecture of prefectures) {
-    if (prefecture.confirmed < prefecture.recovered) {
-      throw new Error(`PrefectureError: ${prefecture.name} has more recovered than confirmed`)
+// Logs the violations in a report, errors first.
+const logReport = (report) => {
+  for (let severity of SEVERITIES) {
+    for (let violation of _.filter(report.violations, { severity: severity })) {
+      const log = (severity == 'error') ? console.error : (severity == 'warn') ? console.warn : console.log
+      log(`${_.capitalize(severity)}: [${violation.rule}] ${violation.subject}: ${violation.message}`)
     }
   }
-  
+  console.log(`Verification: ${report.counts.error} errors, ${report.counts.warn} warnings, ${report.counts.info} info`)
 }
 
-const verifyPatients = (patients) => {
-  // Ensure there are no duplicate patient Ids.
-  let patientIds = {}
-  let duplicates = []
-  for (let patient of patients) {
-    if (patient.patientId == -1) {
-      continue
+//
+// Rules
+//
+
+// Ensure there's some data.
+registerRule({
+  id: 'daily.minimumLength',
+  severity: 'error',
+  scope: 'daily',
+  description: 'The daily summary has at least 10 days.',
+  check: (daily) => {
+    if (daily.length < 10) {
+      return [{ subject: 'daily', message: `Expecting more than 10 days of data, found ${daily.length}` }]
     }
-    if (patientIds[patient.patientId]) {
-      duplicates.push(patient.patientId)
+  }
+})
+
+// Ensure none of the cumulative fields are zero.
+registerRule({
+  id: 'daily.latestCumulativeNonZero',
+  severity: 'error',
+  scope: 'daily',
+  description: 'No cumulative count is 0 on the latest day.',
+  check: (daily) => {
+    const latestDay = _.last(daily)
+    if (!latestDay) {
+      return []
     }
-    patientIds[patient.patientId] = 1
+    return _.map(_.filter(_.keys(latestDay), key => key.endsWith('Cumulative') && latestDay[key] < 1), key => {
+      return { subject: latestDay.date, message: `${key} for the latest day is 0` }
+    })
   }
+})
 
-  if (duplicates.length > 0) {
-    throw new Error(`PatientError: Duplicated patientIds detected ${duplicates}`)
+// Cumulative counts of patients can only go up.
+registerRule({
+  id: 'daily.cumulativeNonDecreasing',
+  severity: 'error',
+  scope: 'daily',
+  description: 'confirmedCumulative and deceasedCumulative never decrease.',
+  check: (daily) => {
+    let violations = []
+    for (let key of ['confirmedCumulative', 'deceasedCumulative']) {
+      for (let i = 1; i < daily.length; i++) {
+        if (daily[i][key] < daily[i - 1][key]) {
+          violations.push({ subject: daily[i].date, message: `${key} decreased from ${daily[i - 1][key]} to ${daily[i][key]}` })
+        }
+      }
+    }
+    return violations
   }
+})
 
-  return patients
-}
+registerRule({
+  id: 'daily.activeNonNegative',
+  severity: 'error',
+  scope: 'daily',
+  description: 'activeCumulative is never negative.',
+  check: (daily) => {
+    return _.map(_.filter(daily, day => day.activeCumulative < 0), day => {
+      return { subject: day.date, message: `activeCumulative is ${day.activeCumulative}` }
+    })
+  }
+})
 
-const verifyPatientLists = (patientLists) => {
-  for (let patientList of patientLists) {
-    if (patientList.length < 1) {
-      throw new Error('PatientListError: Unexpected empty patient list')
+// The national total counts every confirmed patient, including the ones that are
+// not in a prefecture (e.g. Port Quarantine, Unspecified), which are in pseudo
+// prefectures. The cruise ship pseudo prefectures come from the cruise counts and
+// are not part of it.
+registerRule({
+  id: 'prefecture.sumMatchesNational',
+  severity: 'error',
+  scope: 'prefecture',
+  description: 'The confirmed patients of all prefectures add up to the national confirmedCumulative.',
+  check: (prefectures, data) => {
+    const latestDay = _.last(data.daily)
+    if (!latestDay) {
+      return []
+    }
+    const prefecturesTotal = _.sumBy(_.filter(prefectures, v => !v.pseudoPrefecture), 'confirmed')
+    const pseudoNames = _.map(_.filter(prefectures, v => v.pseudoPrefecture), 'name')
+    const unassigned = _.filter(data.patients, patient => {
+      return patient.confirmedPatient && pseudoNames.indexOf(patient.detectedPrefecture) != -1
+    }).length
+    if (prefecturesTotal + unassigned != latestDay.confirmedCumulative) {
+      return [{
+        subject: latestDay.date,
+        message: `Prefectures have ${prefecturesTotal} confirmed (and ${unassigned} not in a prefecture), but confirmedCumulative is ${latestDay.confirmedCumulative}`
+      }]
     }
   }
-  return patientLists
+})
+
+registerRule({
+  id: 'prefecture.deceasedNotAboveConfirmed',
+  severity: 'error',
+  scope: 'prefecture',
+  description: 'A prefecture does not have more deceased than confirmed patients.',
+  check: (prefectures) => {
+    return _.map(_.filter(prefectures, prefecture => prefecture.deceased > prefecture.confirmed), prefecture => {
+      return { subject: prefecture.name, message: `Has more deceased (${prefecture.deceased}) than confirmed (${prefecture.confirmed})` }
+    })
+  }
+})
+
+registerRule({
+  id: 'prefecture.dailyConfirmedSumsToConfirmed',
+  severity: 'error',
+  scope: 'prefecture',
+  description: 'The dailyConfirmedCount of a prefecture adds up to its confirmed.',
+  check: (prefectures) => {
+    return _.filter(_.map(prefectures, prefecture => {
+      const total = _.sum(prefecture.dailyConfirmedCount)
+      if (total != prefecture.confirmed) {
+        return { subject: prefecture.name, message: `dailyConfirmedCount adds up to ${total}, but confirmed is ${prefecture.confirmed}` }
+      }
+    }))
+  }
+})
+
+// Recovered comes from the Prefecture Data tab and confirmed from the patients,
+// so they can be out of step for a while.
+registerRule({
+  id: 'prefecture.recoveredNotAboveConfirmed',
+  severity: 'warn',
+  scope: 'prefecture',
+  description: 'A prefecture does not have more recovered than confirmed patients.',
+  check: (prefectures) => {
+    return _.map(_.filter(prefectures, prefecture => prefecture.confirmed < prefecture.recovered), prefecture => {
+      return { subject: prefecture.name, message: `Has more recovered (${prefecture.recovered}) than confirmed (${prefecture.confirmed})` }
+    })
+  }
+})
+
+// Anomalies are likely, but not certainly, mistakes, so they are warnings (see anomalies.js).
+// Only the recent ones are reported, so that a run doesn't warn about the same
+// old spike again. They are detected once, by the caller (data.anomalies) or here.
+//
+// @param filter Function, which of the anomalies the rule reports.
+const anomalyViolations = (data, filter) => {
+  const anomalies = data.anomalies || Anomalies.detectAnomalies({ daily: data.daily || [], prefectures: data.prefectures || [] })
+  const asOf = _.isEmpty(data.daily) ? _.max(_.map(anomalies, 'date')) : _.last(data.daily).date
+  return _.map(_.filter(Anomalies.recentAnomalies(anomalies, asOf), filter), anomaly => {
+    return { subject: anomaly.series, message: `${anomaly.date}: ${anomaly.message}` }
+  })
 }
 
+registerRule({
+  id: 'anomaly.dailyConfirmedSpike',
+  severity: 'warn',
+  scope: 'daily',
+  description: 'The national daily confirmed count is not far from the rolling median of the days before.',
+  check: (daily, data) => {
+    return anomalyViolations(data, anomaly => anomaly.type == 'spike' && anomaly.series == 'daily.confirmed')
+  }
+})
+
+registerRule({
+  id: 'anomaly.cumulativeDropToZero',
+  severity: 'warn',
+  scope: 'daily',
+  description: 'No cumulative count in the daily summary drops back to 0.',
+  check: (daily, data) => {
+    return anomalyViolations(data, anomaly => anomaly.type == 'dropToZero')
+  }
+})
+
+registerRule({
+  id: 'anomaly.prefectureConfirmedSpike',
+  severity: 'warn',
+  scope: 'prefecture',
+  description: 'The dailyConfirmedCount of a prefecture is not far from the rolling median of the days before.',
+  check: (prefectures, data) => {
+    return anomalyViolations(data, anomaly => anomaly.type == 'spike' && anomaly.series != 'daily.confirmed')
+  }
+})
+
+registerRule({
+  id: 'anomaly.stalePrefecture',
+  severity: 'warn',
+  scope: 'prefecture',
+  description: 'A prefecture that had new cases regularly has not gone a week without any.',
+  check: (prefectures, data) => {
+    return anomalyViolations(data, anomaly => anomaly.type == 'stalePrefecture')
+  }
+})
+
+registerRule({
+  id: 'patient.nonEmptyTabs',
+  severity: 'error',
+  scope: 'patient',
+  description: 'Every patient tab has patients.',
+  check: (patients, data) => {
+    return _.map(_.filter(_.toPairs(data.patientLists), pair => pair[1].length < 1), pair => {
+      return { subject: pair[0], message: 'Unexpected empty patient list' }
+    })
+  }
+})
+
+// Ensure there are no duplicate patient Ids within a tab. (The same patientId in
+// different tabs is merged, see merge_patients.js and patient.uniqueIdsAcrossTabs)
+registerRule({
+  id: 'patient.uniqueIdsPerTab',
+  severity: 'error',
+  scope: 'patient',
+  description: 'No patientId is used twice in the same tab.',
+  check: (patients, data) => {
+    let violations = []
+    _.forEach(data.patientLists, (tabPatients, tabName) => {
+      const counts = _.countBy(_.filter(tabPatients, PatientIdentity.hasPatientId), 'patientId')
+      for (let patientId of _.keys(_.pickBy(counts, count => count > 1))) {
+        violations.push({ subject: patientId, message: `Duplicated patientId in ${tabName}` })
+      }
+    })
+    return violations
+  }
+})
+
+// The same patientId in different tabs is merged into one patient. If the tabs
+// have it for patients of different prefectures, one of the tabs probably numbers
+// its patients on its own and needs an idNamespace in tabs.json.
+registerRule({
+  id: 'patient.uniqueIdsAcrossTabs',
+  severity: 'warn',
+  scope: 'patient',
+  description: 'A patientId used in more than one tab is the same patient (same detectedPrefecture) in each.',
+  check: (patients, data) => {
+    let prefecturesById = {}
+    _.forEach(data.patientLists, (tabPatients, tabName) => {
+      for (let patient of _.filter(tabPatients, PatientIdentity.hasPatientId)) {
+        if (!patient.detectedPrefecture) {
+          continue
+        }
+        const patientId = String(patient.patientId)
+        prefecturesById[patientId] = prefecturesById[patientId] || {}
+        prefecturesById[patientId][patient.detectedPrefecture] = tabName
+      }
+    })
+    let violations = []
+    _.forEach(prefecturesById, (tabsByPrefecture, patientId) => {
+      if (_.size(tabsByPrefecture) > 1) {
+        const uses = _.map(tabsByPrefecture, (tabName, prefecture) => `${prefecture} in ${tabName}`)
+        violations.push({ subject: patientId, message: `patientId may be used for different patients: ${uses.join(', ')}` })
+      }
+    })
+    return violations
+  }
+})
+
+registerRule({
+  id: 'tokyoCounts.nonEmpty',
+  severity: 'error',
+  scope: 'tokyoCounts',
+  description: 'There are Tokyo wards/cities with counts.',
+  check: (tokyoCounts) => {
+    if (tokyoCounts.length < 1) {
+      return [{ subject: 'tokyoCounts', message: 'No Tokyo wards/cities' }]
+    }
+  }
+})
+
+registerRule({
+  id: 'tokyoCounts.numericCounts',
+  severity: 'error',
+  scope: 'tokyoCounts',
+  description: 'Every Tokyo ward/city count is a number.',
+  check: (tokyoCounts) => {
+    let violations = []
+    for (let city of tokyoCounts) {
+      for (let value of _.filter(city.values, v => isNaN(v.count))) {
+        violations.push({ subject: city.name, message: `Count for ${value.date} is not a number` })
+      }
+    }
+    return violations
+  }
+})
 
-exports.verifyDailySummary = verifyDailySummary
-exports.verifyPrefectures = verifyPrefectures
-exports.verifyPatients = verifyPatients
-exports.verifyPatientLists = verifyPatientLists
\ No newline at end of file
+exports.SEVERITIES = SEVERITIES
+exports.SCOPES = SCOPES
+exports.registerRule = registerRule
+exports.registeredRules = registeredRules
+exports.runRules = runRules
+exports.logReport = logReport
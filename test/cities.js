@@ -0,0 +1,35 @@
+// Checks that the spellings of a city in the sheet are counted as one city.
+//
+// Usage: node test/cities.js
+
+const assert = require('assert')
+const _ = require('lodash')
+const moment = require('moment')
+
+const Cities = require('../src/cities.js')
+
+// Spellings of the same city in the patient data.
+const SPELLINGS = [
+  { prefecture: 'Osaka', names: ['Higashiosaka', 'Higashi Osaka', 'HigashiOsaka', '東大阪市'] },
+  { prefecture: 'Fukuoka', names: ['Kitakyushu', 'Kita-Kyushu'] },
+  { prefecture: 'Fukuoka', names: ['Fukuoka City', 'Fukuoka city'] },
+  { prefecture: 'Ibaraki', names: ['Tsukubamirai', 'Tsukuba Mirai'] },
+  { prefecture: 'Gifu', names: ['Ogaki', 'Ogaki '] },
+]
+
+for (let city of SPELLINGS) {
+  const patients = _.map(city.names, name => {
+    return { confirmedPatient: true, detectedPrefecture: city.prefecture, detectedCityTown: name, dateAnnounced: '2020-04-01' }
+  })
+  const summaries = Cities.cities(patients, moment('2020-04-02'))
+  assert.strictEqual(summaries.length, 1, `${city.names.join(', ')} are ${summaries.length} cities`)
+  assert.strictEqual(summaries[0].confirmed, city.names.length)
+  console.log(`OK: ${city.names.join(', ')} -> ${summaries[0].name}`)
+}
+
+// Different cities stay apart.
+const patients = _.map(['Osaka', 'Higashiosaka', 'Sakai'], name => {
+  return { confirmedPatient: true, detectedPrefecture: 'Osaka', detectedCityTown: name, dateAnnounced: '2020-04-01' }
+})
+assert.strictEqual(Cities.cities(patients, moment('2020-04-02')).length, 3)
+console.log('OK: Osaka, Higashiosaka, Sakai are 3 cities')
@@ -0,0 +1,29 @@
+// Checks the schemas in docs/schemas against the data that is published, so a
+// schema can't reject what the pipeline actually generates.
+//
+// Usage: node test/schemas.js
+
+const assert = require('assert')
+const fs = require('fs')
+const _ = require('lodash')
+const moment = require('moment')
+
+const Schemas = require('../src/schemas.js')
+const Summarize = require('../src/summarize.js')
+
+const SUMMARY_FILENAME = './docs/summary/latest.json'
+
+const assertValid = (name, data, description) => {
+  const errors = Schemas.validate(name, data)
+  assert.deepStrictEqual(errors, [], `${description} is not valid against ${name}`)
+  console.log(`OK: ${description} (${name})`)
+}
+
+const summary = JSON.parse(fs.readFileSync(SUMMARY_FILENAME))
+assertValid('summary', summary, SUMMARY_FILENAME)
+
+// The weekly and monthly aggregates of it, as generate.js writes them.
+const asOf = moment(_.last(summary.daily).date)
+for (let period of ['week', 'month']) {
+  assertValid('summary_periods', Summarize.summarizeByPeriod(summary, period, asOf), `${SUMMARY_FILENAME} by ${period}`)
+}
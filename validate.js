@@ -0,0 +1,62 @@
+// Checks snapshot files against their JSON Schema in docs/schemas.
+//
+// Usage: node validate.js docs/summary/2020-05-11.json [more files...]
+//        node validate.js --schema summary some/other/file.json
+
+const fs = require('fs')
+const _ = require('lodash')
+
+const Schemas = require('./src/schemas.js')
+
+const main = (args) => {
+  let schemaName = null
+  if (args[0] == '--schema') {
+    schemaName = args[1]
+    args = _.drop(args, 2)
+  }
+  if (args.length == 0) {
+    console.error('Usage: node validate.js [--schema name] file...')
+    console.error(`Schemas: ${Schemas.schemaNames().join(', ')}`)
+    return false
+  }
+
+  let passed = true
+  for (let filename of args) {
+    const name = schemaName || Schemas.schemaNameForFile(filename)
+    if (!name) {
+      console.error(`${filename}: Unknown file, use --schema to say which schema to use`)
+      passed = false
+      continue
+    }
+    // A file that can't be read (e.g. a latest.json link to a missing file) is
+    // reported, and the other files are still checked.
+    let data = null
+    try {
+      data = JSON.parse(fs.readFileSync(filename))
+    } catch (e) {
+      console.error(`${filename}: Can't be read: ${e.message}`)
+      passed = false
+      continue
+    }
+    const errors = Schemas.validate(name, data)
+    if (errors.length > 0) {
+      console.error(`${filename}: ${errors.length} errors against ${name}`)
+      for (let error of errors) {
+        console.error(`  ${error}`)
+      }
+      passed = false
+    } else {
+      console.log(`${filename}: OK (${name})`)
+    }
+  }
+  return passed
+}
+
+try {
+  if (!main(process.argv.slice(2))) {
+    process.exitCode = 1
+  }
+} catch (e) {
+  console.error(e)
+  process.exitCode = 1
+}